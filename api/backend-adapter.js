@@ -0,0 +1,158 @@
+import HttpClient from './http-client.js';
+import CircuitBreaker from './circuit-breaker.js';
+import { LLAMA_API_CIRCUIT_BREAKER, getExtensionSettings } from '../settings.js';
+
+/**
+ * Base class of slot persistence backends
+ * The core works only with this interface: listSlots, saveSlot, restoreSlot, eraseSlot, getCapabilities.
+ * Subclasses implement the protocol of a concrete server; connection tracking, credentials and URL building are shared
+ */
+class BackendAdapter {
+    /**
+     * @param {string|null} baseUrl - Server URL
+     * @param {Object} options - Adapter options
+     * @param {function(boolean): void} options.onConnectionChange - Called with false when server goes offline and true when it is back
+     */
+    constructor(baseUrl = null, options = {}) {
+        this.httpClient = new HttpClient();
+        this.baseUrl = baseUrl;
+        this.circuitBreaker = new CircuitBreaker(baseUrl || 'backend', {
+            ...LLAMA_API_CIRCUIT_BREAKER,
+            onStateChange: (isOpen) => options.onConnectionChange?.(!isOpen)
+        });
+    }
+
+    /**
+     * Check if server is considered offline (circuit breaker is open)
+     * @returns {boolean}
+     */
+    isOffline() {
+        return this.circuitBreaker.isOpen();
+    }
+
+    /**
+     * @returns {number} Time until the next connection attempt to offline server in milliseconds
+     */
+    getOfflineRetryInMs() {
+        return this.circuitBreaker.getRetryInMs();
+    }
+
+    /**
+     * Get base server URL
+     * @returns {string} Base URL
+     */
+    _getBaseUrl() {
+        return this.baseUrl;
+    }
+
+    /**
+     * Build request options with credentials
+     * API key is taken from extension settings on every request so changes apply immediately
+     * @param {Object} defaults - Default request options (timeout and retry policy of the operation)
+     * @param {Object} options - Request options from caller
+     * @returns {Object} Request options
+     */
+    _buildRequestOptions(defaults, options) {
+        const headers = { ...options.headers };
+        const apiKey = getExtensionSettings().apiKey;
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        return { ...defaults, ...options, headers };
+    }
+
+    /**
+     * Build full URL for request
+     * @param {string} path - Endpoint path
+     * @returns {string} Full URL
+     */
+    _buildUrl(path) {
+        const baseUrl = this._getBaseUrl();
+        const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+        const cleanPath = path.startsWith('/') ? path.slice(1) : path;
+        return `${base}${cleanPath}`;
+    }
+
+    /**
+     * Convert slot entry of server response to the common format
+     * Field names differ between llama.cpp versions and forks, so values are read from whichever field is present
+     * @param {Object} slotData - Slot entry
+     * @param {number} index - Position of entry in response (used as id if entry has none)
+     * @returns {{id: number, nCtx: number|null, nPast: number|null, isProcessing: boolean, taskId: number|null, prompt: string|null}}
+     */
+    _normalizeSlot(slotData, index) {
+        const data = slotData && typeof slotData === 'object' ? slotData : {};
+
+        let nPast = data.n_past ?? data.n_cached_tokens ?? data.tokens_cached ?? null;
+        if (nPast === null && Array.isArray(data.cache_tokens)) {
+            nPast = data.cache_tokens.length;
+        }
+
+        const taskId = data.id_task ?? data.task_id ?? null;
+
+        return {
+            id: typeof data.id === 'number' ? data.id : index,
+            nCtx: data.n_ctx ?? null,
+            nPast: typeof nPast === 'number' ? nPast : null,
+            isProcessing: Boolean(data.is_processing ?? (data.state !== undefined && data.state !== 0)),
+            taskId: typeof taskId === 'number' && taskId >= 0 ? taskId : null,
+            // Last prompt of the slot, only some llama.cpp versions report it
+            prompt: typeof data.prompt === 'string' && data.prompt.length > 0 ? data.prompt : null
+        };
+    }
+
+    /**
+     * Probe server features
+     * @returns {Promise<{online: boolean, ready: boolean, slotsCount: number, nCtx: number|null, modelPath: string|null, modelHash: string|null, slotsEndpoint: boolean, slotSave: boolean}>}
+     */
+    async getCapabilities() {
+        throw new Error(`${this.constructor.name} does not implement getCapabilities`);
+    }
+
+    /**
+     * Get state of all slots
+     * @returns {Promise<Array<{id: number, nCtx: number|null, nPast: number|null, isProcessing: boolean, taskId: number|null, prompt: string|null}>>}
+     * @throws {CircuitOpenError} If server is offline
+     * @throws {Error} On request error
+     */
+    async listSlots() {
+        throw new Error(`${this.constructor.name} does not implement listSlots`);
+    }
+
+    /**
+     * Save slot cache to file on server
+     * @param {number} slotId - Server-local slot id
+     * @param {string} filename - Filename for saving
+     * @returns {Promise<{nSaved: number|null, nWritten: number|null}>} Saved tokens and written bytes (null if server doesn't report them)
+     * @throws {CircuitOpenError} If server is offline
+     * @throws {Error} On request error
+     */
+    async saveSlot(slotId, filename) {
+        throw new Error(`${this.constructor.name} does not implement saveSlot`);
+    }
+
+    /**
+     * Restore slot cache from file on server
+     * @param {number} slotId - Server-local slot id
+     * @param {string} filename - Filename to load
+     * @returns {Promise<void>}
+     * @throws {CircuitOpenError} If server is offline
+     * @throws {Error} On request error
+     */
+    async restoreSlot(slotId, filename) {
+        throw new Error(`${this.constructor.name} does not implement restoreSlot`);
+    }
+
+    /**
+     * Erase slot cache
+     * @param {number} slotId - Server-local slot id
+     * @returns {Promise<void>}
+     * @throws {CircuitOpenError} If server is offline
+     * @throws {Error} On request error
+     */
+    async eraseSlot(slotId) {
+        throw new Error(`${this.constructor.name} does not implement eraseSlot`);
+    }
+}
+
+export default BackendAdapter;
@@ -0,0 +1,48 @@
+import LlamaApi from './llama-api.js';
+import CustomBackendApi from './custom-backend-api.js';
+
+export const DEFAULT_BACKEND_TYPE = 'llamacpp';
+
+// Backend type -> { name, create(baseUrl, options) }
+const backends = new Map();
+
+/**
+ * Register slot persistence backend
+ * @param {string} type - Backend type stored in settings
+ * @param {Object} definition - Backend definition
+ * @param {string} definition.name - Name shown in settings
+ * @param {function(string, Object): BackendAdapter} definition.create - Creates adapter for server URL and adapter options
+ */
+export function registerBackend(type, definition) {
+    backends.set(type, definition);
+}
+
+/**
+ * @returns {Array<{type: string, name: string}>} Registered backends
+ */
+export function getBackendTypes() {
+    return [...backends.entries()].map(([type, definition]) => ({ type, name: definition.name }));
+}
+
+/**
+ * Create adapter for server
+ * Unknown types fall back to llama.cpp, so settings of a removed backend don't break the extension
+ * @param {string} type - Backend type
+ * @param {string} baseUrl - Server URL
+ * @param {Object} options - Adapter options
+ * @returns {BackendAdapter} Adapter
+ */
+export function createBackendAdapter(type, baseUrl, options = {}) {
+    const definition = backends.get(type) ?? backends.get(DEFAULT_BACKEND_TYPE);
+    return definition.create(baseUrl, options);
+}
+
+registerBackend('llamacpp', {
+    name: 'llama.cpp',
+    create: (baseUrl, options) => new LlamaApi(baseUrl, options)
+});
+
+registerBackend('custom', {
+    name: 'Custom routes',
+    create: (baseUrl, options) => new CustomBackendApi(baseUrl, options)
+});
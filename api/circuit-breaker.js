@@ -0,0 +1,123 @@
+import { isRetriableError } from './http-client.js';
+
+/**
+ * Error thrown instead of sending a request while the circuit is open
+ */
+export class CircuitOpenError extends Error {
+    /**
+     * @param {string} target - Name of the guarded target (e.g. server URL)
+     * @param {number} retryInMs - Time until the next trial request
+     */
+    constructor(target, retryInMs) {
+        super(`Server ${target} is offline (next check in ${Math.ceil(retryInMs / 1000)}s)`);
+        this.name = 'CircuitOpenError';
+        this.retryInMs = retryInMs;
+    }
+}
+
+/**
+ * Circuit breaker for one server
+ * - closed: requests pass, consecutive failures are counted
+ * - open: after failureThreshold failures requests are rejected without hitting the server
+ * - half-open: after resetTimeoutMs one trial request passes; success closes the circuit, failure opens it again
+ * Only transient errors (network, timeout, 5xx) count as failures: a server that answers 4xx is alive
+ */
+class CircuitBreaker {
+    /**
+     * @param {string} target - Name of the guarded target for error messages
+     * @param {Object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures before opening (default: 3)
+     * @param {number} options.resetTimeoutMs - Time before trial request (default: 30000)
+     * @param {function(boolean): void} options.onStateChange - Called with true when circuit opens and false when it closes
+     */
+    constructor(target, options = {}) {
+        this.target = target;
+        this.failureThreshold = options.failureThreshold ?? 3;
+        this.resetTimeoutMs = options.resetTimeoutMs ?? 30000;
+        this.onStateChange = options.onStateChange ?? null;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInProgress = false;
+    }
+
+    /**
+     * @returns {boolean} true if requests are currently rejected
+     */
+    isOpen() {
+        return this.openedAt !== null;
+    }
+
+    /**
+     * @returns {number} Time until the next trial request in milliseconds (0 if circuit is closed)
+     */
+    getRetryInMs() {
+        if (!this.isOpen()) {
+            return 0;
+        }
+        return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+    }
+
+    /**
+     * Execute request through the breaker
+     * @param {function(): Promise<any>} fn - Request function
+     * @returns {Promise<any>} Request result
+     * @throws {CircuitOpenError} If circuit is open
+     */
+    async execute(fn) {
+        let isTrial = false;
+        if (this.isOpen()) {
+            if (this.getRetryInMs() > 0 || this.trialInProgress) {
+                throw new CircuitOpenError(this.target, this.getRetryInMs());
+            }
+            this.trialInProgress = true;
+            isTrial = true;
+        }
+
+        try {
+            const result = await fn();
+            this._onSuccess();
+            return result;
+        } catch (e) {
+            if (isRetriableError(e)) {
+                this._onFailure();
+            } else {
+                this._onSuccess();
+            }
+            throw e;
+        } finally {
+            // Requests sent before the circuit opened may finish while the trial is still in flight
+            if (isTrial) {
+                this.trialInProgress = false;
+            }
+        }
+    }
+
+    reset() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInProgress = false;
+    }
+
+    _onSuccess() {
+        const wasOpen = this.isOpen();
+        this.reset();
+        if (wasOpen) {
+            console.info(`[KV Cache Manager] Server ${this.target} is back online`);
+            this.onStateChange?.(false);
+        }
+    }
+
+    _onFailure() {
+        this.failures++;
+        if (this.isOpen() || this.failures >= this.failureThreshold) {
+            const wasOpen = this.isOpen();
+            this.openedAt = Date.now();
+            if (!wasOpen) {
+                console.warn(`[KV Cache Manager] Server ${this.target} marked offline after ${this.failures} failed requests`);
+                this.onStateChange?.(true);
+            }
+        }
+    }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,223 @@
+import { HttpError } from './http-client.js';
+import BackendAdapter from './backend-adapter.js';
+import { LLAMA_API_TIMEOUTS, LLAMA_API_RETRY_POLICIES, getExtensionSettings } from '../settings.js';
+
+/**
+ * Routes of llama.cpp server, used for every operation that is not overridden in settings
+ * Route is "METHOD path" or { route, body, responsePath }:
+ * - {id} and {filename} in path and in string values of body are replaced with slot id and filename
+ * - responsePath is a dot-separated path to the slot list inside the response (listSlots only)
+ * - null disables the operation
+ */
+export const DEFAULT_CUSTOM_BACKEND_ROUTES = {
+    health: 'GET /health',
+    props: 'GET /props',
+    listSlots: 'GET /slots',
+    save: { route: 'POST /slots/{id}?action=save', body: { filename: '{filename}' } },
+    restore: { route: 'POST /slots/{id}?action=restore', body: { filename: '{filename}' } },
+    erase: 'POST /slots/{id}?action=erase'
+};
+
+/**
+ * Parse custom routes from settings
+ * @param {string} value - JSON object with routes to override
+ * @returns {Object} Routes merged with defaults
+ * @throws {Error} If value is not a JSON object
+ */
+export function parseCustomBackendRoutes(value) {
+    if (!value || !String(value).trim()) {
+        return { ...DEFAULT_CUSTOM_BACKEND_ROUTES };
+    }
+
+    let overrides;
+    try {
+        overrides = JSON.parse(value);
+    } catch (e) {
+        throw new Error(`Invalid custom backend routes: ${e.message}`);
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('Invalid custom backend routes: expected a JSON object');
+    }
+
+    return { ...DEFAULT_CUSTOM_BACKEND_ROUTES, ...overrides };
+}
+
+/**
+ * Replace {id} and {filename} placeholders in body values
+ * @param {any} value - Body template
+ * @param {Object} params - Placeholder values
+ * @returns {any} Body
+ */
+function fillBodyTemplate(value, params) {
+    if (typeof value === 'string') {
+        return value.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => fillBodyTemplate(item, params));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillBodyTemplate(item, params)]));
+    }
+    return value;
+}
+
+/**
+ * Adapter for servers with slot persistence on non-standard routes or payloads (llama.cpp forks, proxies)
+ * Routes are configured in extension settings and read on every request, so changes apply immediately
+ */
+class CustomBackendApi extends BackendAdapter {
+    /**
+     * Get route of operation
+     * @param {string} operation - Operation name (key of DEFAULT_CUSTOM_BACKEND_ROUTES)
+     * @returns {{method: string, path: string, body: any, responsePath: string|null}|null} Route or null if operation is disabled
+     */
+    _getRoute(operation) {
+        const routes = parseCustomBackendRoutes(getExtensionSettings().customBackendRoutes);
+        const route = routes[operation];
+        if (!route) {
+            return null;
+        }
+
+        const definition = typeof route === 'string' ? { route } : route;
+        const [method, ...pathParts] = String(definition.route || '').trim().split(/\s+/);
+        if (!method || pathParts.length === 0) {
+            throw new Error(`Invalid custom backend route for ${operation}: "${definition.route}"`);
+        }
+
+        return {
+            method: method.toUpperCase(),
+            path: pathParts.join(' '),
+            body: definition.body ?? null,
+            responsePath: definition.responsePath ?? null
+        };
+    }
+
+    /**
+     * Send request for operation
+     * @param {string} operation - Operation name
+     * @param {Object} params - Values of {id} and {filename} placeholders
+     * @param {Object} defaults - Default request options (timeout and retry policy)
+     * @returns {Promise<Object|string|null>} Response
+     * @throws {Error} If operation is disabled in settings
+     */
+    async _call(operation, params, defaults) {
+        const route = this._getRoute(operation);
+        if (!route) {
+            throw new Error(`Operation ${operation} is disabled in custom backend routes`);
+        }
+
+        const path = route.path.replace(/\{(\w+)\}/g, (match, name) => name in params ? encodeURIComponent(params[name]) : match);
+        const requestOptions = this._buildRequestOptions(defaults, {
+            method: route.method,
+            body: fillBodyTemplate(route.body, params)
+        });
+
+        return await this.circuitBreaker.execute(() => this.httpClient.request(this._buildUrl(path), requestOptions));
+    }
+
+    /**
+     * Probe server features
+     * Slot save support can't be probed without touching a slot, so it is assumed when save and restore routes are configured
+     * @returns {Promise<Object>} Capabilities: { online, ready, slotsCount, nCtx, modelPath, modelHash, slotsEndpoint, slotSave }
+     */
+    async getCapabilities() {
+        const serverUrl = this._getBaseUrl();
+        const capabilities = {
+            online: false,
+            ready: false,
+            slotsCount: 0,
+            nCtx: null,
+            modelPath: null,
+            modelHash: null,
+            slotsEndpoint: false,
+            slotSave: false
+        };
+
+        if (this._getRoute('health')) {
+            try {
+                const health = await this._call('health', {}, { timeout: LLAMA_API_TIMEOUTS.HEALTH, retry: LLAMA_API_RETRY_POLICIES.HEALTH });
+                capabilities.online = true;
+                capabilities.ready = !health?.status || health.status === 'ok';
+            } catch (e) {
+                if (e instanceof HttpError && e.status === 503) {
+                    capabilities.online = true;
+                } else {
+                    console.warn(`[KV Cache Manager] Server ${serverUrl} is not reachable:`, e.message);
+                    return capabilities;
+                }
+            }
+        }
+
+        if (this._getRoute('props')) {
+            try {
+                const props = await this._call('props', {}, { timeout: LLAMA_API_TIMEOUTS.PROPS, retry: LLAMA_API_RETRY_POLICIES.PROPS });
+                capabilities.slotsCount = props?.total_slots || 0;
+                capabilities.nCtx = props?.default_generation_settings?.n_ctx ?? props?.n_ctx ?? null;
+                capabilities.modelPath = props?.model_path ?? null;
+                capabilities.modelHash = props?.model_hash ?? null;
+            } catch (e) {
+                console.warn(`[KV Cache Manager] Failed to get properties of ${serverUrl}:`, e.message);
+            }
+        }
+
+        try {
+            const slots = await this.listSlots();
+            // Without health route a working slot list is the only sign of a live server
+            capabilities.online = true;
+            capabilities.ready = capabilities.ready || !this._getRoute('health');
+            capabilities.slotsEndpoint = true;
+            capabilities.slotsCount = slots.length || capabilities.slotsCount;
+            if (!capabilities.nCtx) {
+                capabilities.nCtx = slots[0]?.nCtx ?? null;
+            }
+        } catch (e) {
+            console.warn(`[KV Cache Manager] Slots endpoint of ${serverUrl} is not available:`, e.message);
+        }
+
+        capabilities.slotSave = capabilities.online && Boolean(this._getRoute('save') && this._getRoute('restore'));
+
+        return capabilities;
+    }
+
+    async listSlots() {
+        const response = await this._call('listSlots', {}, {
+            timeout: LLAMA_API_TIMEOUTS.GET_SLOTS,
+            retry: LLAMA_API_RETRY_POLICIES.GET_SLOTS
+        });
+
+        const responsePath = this._getRoute('listSlots').responsePath;
+        const slotsData = responsePath
+            ? responsePath.split('.').reduce((value, key) => value?.[key], response)
+            : response;
+        const slots = Array.isArray(slotsData) ? slotsData : Object.values(slotsData || {});
+        return slots.map((slotData, index) => this._normalizeSlot(slotData, index));
+    }
+
+    async saveSlot(slotId, filename) {
+        const result = await this._call('save', { id: slotId, filename }, {
+            timeout: LLAMA_API_TIMEOUTS.SAVE_CACHE,
+            retry: LLAMA_API_RETRY_POLICIES.SAVE_CACHE
+        });
+        return {
+            nSaved: result?.n_saved ?? null,
+            nWritten: result?.n_written ?? null
+        };
+    }
+
+    async restoreSlot(slotId, filename) {
+        await this._call('restore', { id: slotId, filename }, {
+            timeout: LLAMA_API_TIMEOUTS.LOAD_CACHE,
+            retry: LLAMA_API_RETRY_POLICIES.LOAD_CACHE
+        });
+    }
+
+    async eraseSlot(slotId) {
+        await this._call('erase', { id: slotId }, {
+            timeout: LLAMA_API_TIMEOUTS.CLEAR_CACHE,
+            retry: LLAMA_API_RETRY_POLICIES.CLEAR_CACHE
+        });
+    }
+}
+
+export default CustomBackendApi;
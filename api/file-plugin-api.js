@@ -64,23 +64,187 @@ class FilePluginApi {
      * @throws {Error} On request error
      */
     async deleteFile(filename, options = {}) {
-        const url = `/api/plugins/kv-cache-manager/files/${filename}`;
-        const requestOptions = {
+        const url = `/api/plugins/kv-cache-manager/files/${encodeURIComponent(filename)}`;
+        const requestOptions = await this._buildMutationOptions({
             timeout: FILE_PLUGIN_API_TIMEOUTS.DELETE_FILE,
             ...options
+        });
+
+        return await this.httpClient.delete(url, requestOptions);
+    }
+
+    /**
+     * Download file contents
+     * @param {string} filename - Filename
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in milliseconds (default: 600000)
+     * @returns {Promise<Blob>} File contents
+     * @throws {HttpError} With status 404 if file doesn't exist or plugin version doesn't support downloading
+     * @throws {Error} On request error
+     */
+    async downloadFile(filename, options = {}) {
+        const url = `/api/plugins/kv-cache-manager/files/${encodeURIComponent(filename)}`;
+        const requestOptions = {
+            timeout: FILE_PLUGIN_API_TIMEOUTS.DOWNLOAD_FILE,
+            responseType: 'blob',
+            ...options
         };
-        
+
+        return await this.httpClient.get(url, requestOptions);
+    }
+
+    /**
+     * Upload file (replaces existing file with the same name)
+     * @param {string} filename - Filename
+     * @param {Blob} data - File contents
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in milliseconds (default: 600000)
+     * @returns {Promise<void>}
+     * @throws {HttpError} With status 404 if plugin version doesn't support uploading
+     * @throws {Error} On request error
+     */
+    async uploadFile(filename, data, options = {}) {
+        const url = `/api/plugins/kv-cache-manager/files/${encodeURIComponent(filename)}`;
+        const requestOptions = await this._buildMutationOptions({
+            timeout: FILE_PLUGIN_API_TIMEOUTS.UPLOAD_FILE,
+            ...options
+        });
+
+        return await this.httpClient.request(url, { ...requestOptions, method: 'PUT', body: data });
+    }
+
+    /**
+     * Get checksum of file contents, computed by the plugin
+     * @param {string} filename - Filename
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in milliseconds (default: 120000)
+     * @returns {Promise<{algorithm: string, checksum: string, size: number}>} Checksum (hex) and file size in bytes
+     * @throws {HttpError} With status 404 if file doesn't exist or plugin version doesn't support checksums
+     * @throws {Error} On request error
+     */
+    async getFileChecksum(filename, options = {}) {
+        const url = `/api/plugins/kv-cache-manager/files/${encodeURIComponent(filename)}/checksum`;
+        const requestOptions = {
+            timeout: FILE_PLUGIN_API_TIMEOUTS.GET_CHECKSUM,
+            ...options
+        };
+
+        return await this.httpClient.get(url, requestOptions);
+    }
+
+    /**
+     * Rename file
+     * @param {string} filename - Current filename
+     * @param {string} newFilename - New filename
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
+     * @returns {Promise<void>}
+     * @throws {HttpError} With status 404 if file doesn't exist or plugin version doesn't support renaming
+     * @throws {Error} On request error
+     */
+    async renameFile(filename, newFilename, options = {}) {
+        const url = `/api/plugins/kv-cache-manager/files/${encodeURIComponent(filename)}/rename`;
+        const requestOptions = await this._buildMutationOptions({
+            timeout: FILE_PLUGIN_API_TIMEOUTS.RENAME_FILE,
+            ...options
+        });
+
+        return await this.httpClient.post(url, { newName: newFilename }, requestOptions);
+    }
+
+    /**
+     * Copy file on the server
+     * @param {string} filename - Source filename
+     * @param {string} newFilename - Filename of the copy
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in milliseconds (default: 600000)
+     * @returns {Promise<void>}
+     * @throws {HttpError} With status 404 if file doesn't exist or plugin version doesn't support copying
+     * @throws {Error} On request error
+     */
+    async copyFile(filename, newFilename, options = {}) {
+        const url = `/api/plugins/kv-cache-manager/files/${encodeURIComponent(filename)}/copy`;
+        const requestOptions = await this._buildMutationOptions({
+            timeout: FILE_PLUGIN_API_TIMEOUTS.COPY_FILE,
+            ...options
+        });
+
+        return await this.httpClient.post(url, { newName: newFilename }, requestOptions);
+    }
+
+    /**
+     * Get metadata of all saves
+     * Metadata is stored by the plugin as a sidecar file next to each save
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
+     * @returns {Promise<Object|null>} { metadata: { [filename]: Object } }
+     * @throws {HttpError} With status 404 if plugin version doesn't support metadata
+     * @throws {Error} On request error
+     */
+    async getAllMetadata(options = {}) {
+        const url = '/api/plugins/kv-cache-manager/metadata';
+        const requestOptions = {
+            timeout: FILE_PLUGIN_API_TIMEOUTS.GET_METADATA,
+            ...options
+        };
+
+        return await this.httpClient.get(url, requestOptions);
+    }
+
+    /**
+     * Write metadata of save (replaces existing metadata)
+     * @param {string} filename - Save filename
+     * @param {Object} metadata - Metadata record
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
+     * @returns {Promise<void>}
+     * @throws {Error} On request error
+     */
+    async writeMetadata(filename, metadata, options = {}) {
+        const url = `/api/plugins/kv-cache-manager/metadata/${encodeURIComponent(filename)}`;
+        const requestOptions = await this._buildMutationOptions({
+            timeout: FILE_PLUGIN_API_TIMEOUTS.WRITE_METADATA,
+            ...options
+        });
+
+        return await this.httpClient.request(url, { ...requestOptions, method: 'PUT', body: metadata });
+    }
+
+    /**
+     * Delete metadata of save
+     * @param {string} filename - Save filename
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
+     * @returns {Promise<void>}
+     * @throws {Error} On request error
+     */
+    async deleteMetadata(filename, options = {}) {
+        const url = `/api/plugins/kv-cache-manager/metadata/${encodeURIComponent(filename)}`;
+        const requestOptions = await this._buildMutationOptions({
+            timeout: FILE_PLUGIN_API_TIMEOUTS.DELETE_FILE,
+            ...options
+        });
+
+        return await this.httpClient.delete(url, requestOptions);
+    }
+
+    /**
+     * Add CSRF token and session credentials required by SillyTavern for modifying requests
+     * @param {Object} requestOptions - Request options
+     * @returns {Promise<Object>} Request options
+     */
+    async _buildMutationOptions(requestOptions) {
         const csrfToken = await this.getCsrfToken();
         const headers = { ...requestOptions.headers };
         if (csrfToken) {
             headers['X-CSRF-Token'] = csrfToken;
         }
 
-        return await this.httpClient.delete(url, {
+        return {
             ...requestOptions,
             headers,
             credentials: 'same-origin'
-        });
+        };
     }
 }
 
@@ -1,4 +1,115 @@
+/**
+ * Error for non-2xx HTTP responses
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Error for rejected credentials (HTTP 401/403)
+ */
+export class AuthError extends HttpError {
+    constructor(status) {
+        super(status, `Authentication failed (HTTP ${status})`);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Error for requests that did not complete in time
+ */
+export class TimeoutError extends Error {
+    constructor(timeout) {
+        super(`Request timeout (${timeout}ms)`);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Check if failed request may succeed when repeated
+ * Network errors, timeouts, 429 and 5xx are transient; other HTTP errors are not
+ * 501 means the feature is disabled on the server, repeating won't help
+ * @param {Error} e - Request error
+ * @returns {boolean}
+ */
+export function isRetriableError(e) {
+    if (e instanceof AuthError) {
+        return false;
+    }
+    if (e instanceof HttpError) {
+        return e.status === 429 || (e.status >= 500 && e.status !== 501);
+    }
+    return true;
+}
+
+/**
+ * Delay before retry: exponential backoff with full jitter
+ * @param {number} attempt - Retry number starting from 0
+ * @param {{baseDelayMs: number, maxDelayMs: number}} retry - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, retry) {
+    const baseDelayMs = retry.baseDelayMs ?? 500;
+    const maxDelayMs = retry.maxDelayMs ?? 10000;
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * cap);
+}
+
+/**
+ * Remove credentials sent in Authorization header from text
+ * @param {string} text - Text that may contain credentials
+ * @param {Object} headers - Request headers
+ * @returns {string} Text with credentials replaced by ***
+ */
+function redactCredentials(text, headers) {
+    const authorization = headers['Authorization'];
+    if (!text || !authorization) {
+        return text;
+    }
+    const token = authorization.replace(/^Bearer\s+/i, '');
+    return token ? text.split(token).join('***') : text;
+}
+
 class HttpClient {
+    /**
+     * Execute HTTP request with retries according to policy
+     * Only transient errors are retried (see isRetriableError)
+     * @param {string} url - Full URL for request
+     * @param {Object} options - Request options (see _requestOnce)
+     * @param {Object} options.retry - Retry policy (default: no retries)
+     * @param {number} options.retry.retries - Number of retries after the first attempt
+     * @param {number} options.retry.baseDelayMs - Delay before the first retry (default: 500)
+     * @param {number} options.retry.maxDelayMs - Maximum delay between retries (default: 10000)
+     * @returns {Promise<Object|string|null>} Parsed JSON response, text, or null
+     * @throws {Error} Error of the last attempt
+     */
+    async request(url, options = {}) {
+        const { retry = null, ...requestOptions } = options;
+        const retries = retry?.retries ?? 0;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                // Headers object is modified during request, so each attempt gets its own copy
+                return await this._requestOnce(url, { ...requestOptions, headers: { ...requestOptions.headers } });
+            } catch (e) {
+                if (attempt >= retries || !isRetriableError(e)) {
+                    throw e;
+                }
+                const delay = getRetryDelay(attempt, retry);
+                console.warn(`[KV Cache Manager] ${requestOptions.method || 'GET'} ${url} failed (${e.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
     /**
      * Execute HTTP request with timeout and error handling
      * @param {string} url - Full URL for request
@@ -6,22 +117,28 @@ class HttpClient {
      * @param {string} options.method - HTTP method (GET, POST, DELETE, etc.)
      * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
      * @param {Object} options.headers - Request headers
-     * @param {Object|string} options.body - Request body (will be serialized to JSON if object)
+     * @param {Object|string|Blob} options.body - Request body (will be serialized to JSON if plain object, Blob is sent as is)
      * @param {string} options.credentials - Credentials for request (same-origin, include, etc.)
-     * @returns {Promise<Object|string|null>} Parsed JSON response, text, or null
-     * @throws {Error} On request error or timeout
+     * @param {string} options.responseType - 'blob' to get response body as Blob (default: JSON or text by content type)
+     * @returns {Promise<Object|string|Blob|null>} Parsed JSON response, text, Blob, or null
+     * @throws {AuthError} On HTTP 401/403
+     * @throws {HttpError} On other non-2xx responses
+     * @throws {TimeoutError} On timeout
+     * @throws {Error} On request error
      */
-    async request(url, options = {}) {
+    async _requestOnce(url, options = {}) {
         const {
             method = 'GET',
             timeout = 10000,
             headers = {},
             body = null,
-            credentials = undefined
+            credentials = undefined,
+            responseType = null
         } = options;
 
+        const isBinaryBody = body instanceof Blob;
         if (body && typeof body === 'object' && !headers['Content-Type']) {
-            headers['Content-Type'] = 'application/json';
+            headers['Content-Type'] = isBinaryBody ? 'application/octet-stream' : 'application/json';
         }
 
         let timeoutId = null;
@@ -36,7 +153,7 @@ class HttpClient {
             };
 
             if (body !== null) {
-                fetchOptions.body = typeof body === 'object' ? JSON.stringify(body) : body;
+                fetchOptions.body = typeof body === 'object' && !isBinaryBody ? JSON.stringify(body) : body;
             }
 
             if (credentials !== undefined) {
@@ -50,8 +167,15 @@ class HttpClient {
             }
 
             if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
+                if (response.status === 401 || response.status === 403) {
+                    throw new AuthError(response.status);
+                }
+                const errorText = redactCredentials(await response.text(), headers);
+                throw new HttpError(response.status, `HTTP ${response.status}: ${errorText}`);
+            }
+
+            if (responseType === 'blob') {
+                return await response.blob();
             }
 
             const contentType = response.headers.get('content-type');
@@ -67,7 +191,11 @@ class HttpClient {
             }
             
             if (e.name === 'AbortError') {
-                throw new Error(`Request timeout (${timeout}ms)`);
+                throw new TimeoutError(timeout);
+            }
+            
+            if (!(e instanceof HttpError) && e.message) {
+                e.message = redactCredentials(e.message, headers);
             }
             
             throw e;
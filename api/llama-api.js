@@ -1,32 +1,87 @@
 import { textgen_types, textgenerationwebui_settings } from '../../../../textgen-settings.js';
 
-import HttpClient from './http-client.js';
-import { LLAMA_API_TIMEOUTS } from '../settings.js';
-
-class LlamaApi {
-    constructor() {
-        this.httpClient = new HttpClient();
-    }
+import { HttpError } from './http-client.js';
+import BackendAdapter from './backend-adapter.js';
+import { LLAMA_API_TIMEOUTS, LLAMA_API_RETRY_POLICIES } from '../settings.js';
 
+/**
+ * Adapter for llama.cpp server (llama-server started with --slot-save-path)
+ */
+class LlamaApi extends BackendAdapter {
     /**
      * Get base server URL
-     * @returns {string} Base URL
+     * @returns {string} Base URL (default: llama.cpp server URL from SillyTavern settings)
      */
     _getBaseUrl() {
+        if (this.baseUrl) {
+            return this.baseUrl;
+        }
         const provided_url = textgenerationwebui_settings.server_urls[textgen_types.LLAMACPP];
         return provided_url;
     }
 
     /**
-     * Build full URL for request
-     * @param {string} path - Endpoint path
-     * @returns {string} Full URL
+     * Get server health
+     * @param {Object} options - Request options
+     * @returns {Promise<Object|null>} Health status ({status: 'ok'} when model is loaded)
+     * @throws {HttpError} With status 503 while model is loading
+     * @throws {CircuitOpenError} If server is offline
+     * @throws {Error} On request error
      */
-    _buildUrl(path) {
-        const baseUrl = this._getBaseUrl();
-        const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
-        const cleanPath = path.startsWith('/') ? path.slice(1) : path;
-        return `${base}${cleanPath}`;
+    async getHealth(options = {}) {
+        const url = this._buildUrl('health');
+        const requestOptions = this._buildRequestOptions({
+            timeout: LLAMA_API_TIMEOUTS.HEALTH,
+            retry: LLAMA_API_RETRY_POLICIES.HEALTH
+        }, options);
+        
+        return await this.circuitBreaker.execute(() => this.httpClient.get(url, requestOptions));
+    }
+
+    /**
+     * Get server properties (total_slots, model_path, default_generation_settings.n_ctx, ...)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object|null>} Server properties
+     * @throws {CircuitOpenError} If server is offline
+     * @throws {Error} On request error
+     */
+    async getProps(options = {}) {
+        const url = this._buildUrl('props');
+        const requestOptions = this._buildRequestOptions({
+            timeout: LLAMA_API_TIMEOUTS.PROPS,
+            retry: LLAMA_API_RETRY_POLICIES.PROPS
+        }, options);
+        
+        return await this.circuitBreaker.execute(() => this.httpClient.get(url, requestOptions));
+    }
+
+    /**
+     * Check if slot save/restore is enabled (server started with --slot-save-path)
+     * Sends an unknown action: llama-server rejects it with 400 when slot actions are enabled
+     * and with 501 before looking at the action when they are disabled, so no slot is touched
+     * @param {Object} options - Request options
+     * @returns {Promise<boolean>} true if slot actions are enabled
+     * @throws {CircuitOpenError} If server is offline
+     * @throws {Error} On request error other than 400/501
+     */
+    async probeSlotActions(options = {}) {
+        const url = this._buildUrl('slots/0?action=probe');
+        const requestOptions = this._buildRequestOptions({
+            timeout: LLAMA_API_TIMEOUTS.PROPS
+        }, options);
+        
+        try {
+            await this.circuitBreaker.execute(() => this.httpClient.post(url, null, requestOptions));
+            return true;
+        } catch (e) {
+            if (e instanceof HttpError && e.status === 400) {
+                return true;
+            }
+            if (e instanceof HttpError && e.status === 501) {
+                return false;
+            }
+            throw e;
+        }
     }
 
     /**
@@ -34,16 +89,91 @@ class LlamaApi {
      * @param {Object} options - Request options
      * @param {number} options.timeout - Timeout in milliseconds (default: 10000)
      * @returns {Promise<Array|Object|null>} Slot information or null on error
+     * @throws {CircuitOpenError} If server is offline
      * @throws {Error} On request error
      */
     async getSlots(options = {}) {
         const url = this._buildUrl('slots');
-        const requestOptions = {
+        const requestOptions = this._buildRequestOptions({
             timeout: LLAMA_API_TIMEOUTS.GET_SLOTS,
-            ...options
+            retry: LLAMA_API_RETRY_POLICIES.GET_SLOTS
+        }, options);
+        
+        return await this.circuitBreaker.execute(() => this.httpClient.get(url, requestOptions));
+    }
+
+    /**
+     * Get state of all slots
+     * @param {Object} options - Request options
+     * @returns {Promise<Array<{id: number, nCtx: number|null, nPast: number|null, isProcessing: boolean, taskId: number|null, prompt: string|null}>>}
+     * @throws {CircuitOpenError} If server is offline
+     * @throws {Error} On request error
+     */
+    async listSlots(options = {}) {
+        const slotsData = await this.getSlots(options);
+        const slots = Array.isArray(slotsData) ? slotsData : Object.values(slotsData || {});
+        return slots.map((slotData, index) => this._normalizeSlot(slotData, index));
+    }
+
+    /**
+     * Probe server features via /health, /props, /slots and an unknown slot action
+     * @returns {Promise<Object>} Capabilities: { online, ready, slotsCount, nCtx, modelPath, modelHash, slotsEndpoint, slotSave }
+     */
+    async getCapabilities() {
+        const serverUrl = this._getBaseUrl();
+        const capabilities = {
+            online: false,
+            ready: false,
+            slotsCount: 0,
+            nCtx: null,
+            modelPath: null,
+            modelHash: null,
+            slotsEndpoint: false,
+            slotSave: false
         };
         
-        return await this.httpClient.get(url, requestOptions);
+        try {
+            const health = await this.getHealth();
+            capabilities.online = true;
+            capabilities.ready = !health?.status || health.status === 'ok';
+        } catch (e) {
+            if (e instanceof HttpError && e.status === 503) {
+                // Server is up but still loading the model
+                capabilities.online = true;
+            } else {
+                console.warn(`[KV Cache Manager] Server ${serverUrl} is not reachable:`, e.message);
+                return capabilities;
+            }
+        }
+        
+        try {
+            const props = await this.getProps();
+            capabilities.slotsCount = props?.total_slots || 0;
+            capabilities.nCtx = props?.default_generation_settings?.n_ctx ?? null;
+            capabilities.modelPath = props?.model_path ?? null;
+            capabilities.modelHash = props?.model_hash ?? null;
+        } catch (e) {
+            console.warn(`[KV Cache Manager] Failed to get properties of ${serverUrl}:`, e.message);
+        }
+        
+        try {
+            const slots = await this.listSlots();
+            capabilities.slotsEndpoint = true;
+            capabilities.slotsCount = slots.length || capabilities.slotsCount;
+            if (!capabilities.nCtx) {
+                capabilities.nCtx = slots[0]?.nCtx ?? null;
+            }
+        } catch (e) {
+            console.warn(`[KV Cache Manager] Slots endpoint of ${serverUrl} is not available:`, e.message);
+        }
+        
+        try {
+            capabilities.slotSave = await this.probeSlotActions();
+        } catch (e) {
+            console.warn(`[KV Cache Manager] Failed to check slot save support of ${serverUrl}:`, e.message);
+        }
+        
+        return capabilities;
     }
 
     /**
@@ -52,17 +182,22 @@ class LlamaApi {
      * @param {string} filename - Filename for saving
      * @param {Object} options - Request options
      * @param {number} options.timeout - Timeout in milliseconds (default: 300000)
-     * @returns {Promise<void>}
+     * @returns {Promise<{nSaved: number|null, nWritten: number|null}>} Saved tokens and written bytes
+     * @throws {CircuitOpenError} If server is offline
      * @throws {Error} On request error
      */
-    async saveSlotCache(slotId, filename, options = {}) {
+    async saveSlot(slotId, filename, options = {}) {
         const url = this._buildUrl(`slots/${slotId}?action=save`);
-        const requestOptions = {
+        const requestOptions = this._buildRequestOptions({
             timeout: LLAMA_API_TIMEOUTS.SAVE_CACHE,
-            ...options
-        };
+            retry: LLAMA_API_RETRY_POLICIES.SAVE_CACHE
+        }, options);
         
-        return await this.httpClient.post(url, { filename }, requestOptions);
+        const result = await this.circuitBreaker.execute(() => this.httpClient.post(url, { filename }, requestOptions));
+        return {
+            nSaved: result?.n_saved ?? null,
+            nWritten: result?.n_written ?? null
+        };
     }
 
     /**
@@ -72,16 +207,17 @@ class LlamaApi {
      * @param {Object} options - Request options
      * @param {number} options.timeout - Timeout in milliseconds (default: 300000)
      * @returns {Promise<void>}
+     * @throws {CircuitOpenError} If server is offline
      * @throws {Error} On request error
      */
-    async loadSlotCache(slotId, filename, options = {}) {
+    async restoreSlot(slotId, filename, options = {}) {
         const url = this._buildUrl(`slots/${slotId}?action=restore`);
-        const requestOptions = {
+        const requestOptions = this._buildRequestOptions({
             timeout: LLAMA_API_TIMEOUTS.LOAD_CACHE,
-            ...options
-        };
+            retry: LLAMA_API_RETRY_POLICIES.LOAD_CACHE
+        }, options);
         
-        return await this.httpClient.post(url, { filename }, requestOptions);
+        return await this.circuitBreaker.execute(() => this.httpClient.post(url, { filename }, requestOptions));
     }
 
     /**
@@ -90,16 +226,17 @@ class LlamaApi {
      * @param {Object} options - Request options
      * @param {number} options.timeout - Timeout in milliseconds (default: 30000)
      * @returns {Promise<void>}
+     * @throws {CircuitOpenError} If server is offline
      * @throws {Error} On request error
      */
-    async clearSlotCache(slotId, options = {}) {
+    async eraseSlot(slotId, options = {}) {
         const url = this._buildUrl(`slots/${slotId}?action=erase`);
-        const requestOptions = {
+        const requestOptions = this._buildRequestOptions({
             timeout: LLAMA_API_TIMEOUTS.CLEAR_CACHE,
-            ...options
-        };
+            retry: LLAMA_API_RETRY_POLICIES.CLEAR_CACHE
+        }, options);
         
-        return await this.httpClient.post(url, null, requestOptions);
+        return await this.circuitBreaker.execute(() => this.httpClient.post(url, null, requestOptions));
     }
 }
 
@@ -1,27 +1,93 @@
-import { getSlotsState, findCharacterSlotIndex, incrementSlotUsage } from './slot-manager.js';
+import { getContext } from "../../../../extensions.js";
+
+import { getSlotsState, findCharacterSlotIndex, incrementSlotUsage, getAllSlotsInfo, getSlotTelemetry, setSlotAnchor } from './slot-manager.js';
+import { createMessageAnchor } from './message-anchors.js';
+import { isSlotSaveSupported } from './server-capabilities.js';
 import { saveCharacterCache } from './cache-operations.js';
+import { OPERATION_PRIORITY } from './operation-queue.js';
 import { getExtensionSettings } from '../settings.js';
 import { getNormalizedCharacterNameFromData } from '../utils/character-utils.js';
 
-async function checkAndPerformAutoSave(slotIndex, currentUsage) {
+// Autosave triggers, any enabled one saves the slot:
+// messages - after N counted messages (usage), tokens - after the cache grew by N tokens since last save or load,
+// time - N minutes after the first message the saves don't have, idle - N seconds after the last message
+export const SAVE_TRIGGERS = {
+    MESSAGES: 'messages',
+    TOKENS: 'tokens',
+    TIME: 'time',
+    IDLE: 'idle'
+};
+
+// Normalized character name -> idle save timer
+const idleTimers = new Map();
+
+function getTriggerSettings() {
     const extensionSettings = getExtensionSettings();
-    const interval = extensionSettings.saveInterval;
+    return {
+        messages: parseInt(extensionSettings.saveInterval) || 0,
+        tokens: parseInt(extensionSettings.saveTokenInterval) || 0,
+        timeMs: (parseFloat(extensionSettings.saveActivityMinutes) || 0) * 60000,
+        idleMs: (parseInt(extensionSettings.saveIdleSeconds) || 0) * 1000
+    };
+}
+
+/**
+ * Tokens added to slot's cache since its last save or load
+ * @param {Object} slot - Slot from slotsState
+ * @param {Object|null} telemetry - Slot telemetry from getSlotTelemetry
+ * @returns {number|null} Tokens or null if the server doesn't report cached tokens
+ */
+function getUnsavedTokens(slot, telemetry) {
+    if (typeof telemetry?.nPast !== 'number' || slot.savedTokens === null) {
+        return null;
+    }
+    // Cache shrinks on swipes and context shift, that's not new work
+    return Math.max(0, telemetry.nPast - slot.savedTokens);
+}
+
+/**
+ * What is left until each enabled trigger saves the slot
+ * @param {Object} slot - Slot from slotsState
+ * @param {Object|null} telemetry - Slot telemetry from getSlotTelemetry
+ * @param {number} now - Current time in ms
+ * @returns {Array<{trigger: string, remaining: number|null}>} Remaining messages, tokens or milliseconds per trigger.
+ *   remaining is null for the token trigger when the server doesn't report cached tokens of its slots
+ */
+export function getSaveCountdown(slot, telemetry, now = Date.now()) {
+    const triggers = getTriggerSettings();
+    const countdown = [];
     
-    if (currentUsage < interval) {
-        return;
+    if (triggers.messages > 0) {
+        countdown.push({ trigger: SAVE_TRIGGERS.MESSAGES, remaining: Math.max(0, triggers.messages - (slot.usage || 0)) });
     }
     
-    const slotsState = getSlotsState();
-    const slot = slotsState[slotIndex];
-    const characterName = slot?.characterName;
+    const unsavedTokens = getUnsavedTokens(slot, telemetry);
+    if (triggers.tokens > 0 && unsavedTokens !== null) {
+        countdown.push({ trigger: SAVE_TRIGGERS.TOKENS, remaining: Math.max(0, triggers.tokens - unsavedTokens) });
+    } else if (triggers.tokens > 0 && telemetry && telemetry.nPast === null) {
+        // SillyTavern doesn't pass generation timings to extensions, so /slots is the only source of token counts
+        countdown.push({ trigger: SAVE_TRIGGERS.TOKENS, remaining: null });
+    }
     
-    if (!characterName) {
-        return;
+    if (triggers.timeMs > 0 && slot.activeSince) {
+        countdown.push({ trigger: SAVE_TRIGGERS.TIME, remaining: Math.max(0, slot.activeSince + triggers.timeMs - now) });
     }
     
+    // Idle time only runs between generations and only when there is something to save
+    if (triggers.idleMs > 0 && slot.lastActivityAt && slot.usage > 0 && !slot.generationType) {
+        countdown.push({ trigger: SAVE_TRIGGERS.IDLE, remaining: Math.max(0, slot.lastActivityAt + triggers.idleMs - now) });
+    }
+    
+    return countdown;
+}
+
+async function performAutoSave(slotIndex) {
+    const slot = getSlotsState()[slotIndex];
+    const characterName = slot?.characterName;
+    
     // usage is reset automatically in saveCharacterCache after successful save
     try {
-        const success = await saveCharacterCache(characterName, slotIndex);
+        const success = await saveCharacterCache(characterName, slotIndex, { priority: OPERATION_PRIORITY.AUTOSAVE });
         if (success) {
             const { updateSlotsList } = await import('./slot-manager.js');
             updateSlotsList();
@@ -32,14 +98,67 @@ async function checkAndPerformAutoSave(slotIndex, currentUsage) {
     }
 }
 
-// Increments only for normal generation or if usage === 0
-export async function processMessageForAutoSave(data) {
-    const extensionSettings = getExtensionSettings();
+async function checkAndPerformAutoSave(slotIndex) {
+    const slotsState = getSlotsState();
+    const slot = slotsState[slotIndex];
+    const characterName = slot?.characterName;
     
-    if (!extensionSettings.enabled) {
+    if (!characterName) {
+        return;
+    }
+    
+    if (!isSlotSaveSupported(slot.serverUrl)) {
         return;
     }
     
+    const triggers = getTriggerSettings();
+    let telemetry = null;
+    if (triggers.tokens > 0) {
+        telemetry = getSlotTelemetry(await getAllSlotsInfo(slot.serverUrl, { silent: true }), slot.slotId);
+        // Restored saves made before token counts were recorded: count from the first reading
+        if (slot.savedTokens === null && typeof telemetry?.nPast === 'number') {
+            slot.savedTokens = telemetry.nPast;
+        }
+    }
+    
+    // Idle trigger has its own timer
+    const isDue = getSaveCountdown(slot, telemetry).some(({ trigger, remaining }) => trigger !== SAVE_TRIGGERS.IDLE && remaining === 0);
+    if (isDue) {
+        await performAutoSave(slotIndex);
+    }
+}
+
+/**
+ * Save slot of character once no generation happened in it for the idle time
+ * @param {string} characterName - Normalized character name
+ */
+function scheduleIdleSave(characterName) {
+    clearTimeout(idleTimers.get(characterName));
+    idleTimers.delete(characterName);
+    
+    const { idleMs } = getTriggerSettings();
+    if (idleMs <= 0) {
+        return;
+    }
+    
+    idleTimers.set(characterName, setTimeout(async () => {
+        idleTimers.delete(characterName);
+        
+        const slotIndex = findCharacterSlotIndex(characterName);
+        const slot = slotIndex !== null ? getSlotsState()[slotIndex] : null;
+        // A generation started since: its message schedules the timer again. Usage 0 means nothing new since last save
+        if (!getExtensionSettings().enabled || !slot || slot.generationType || !slot.usage || !isSlotSaveSupported(slot.serverUrl)) {
+            return;
+        }
+        
+        await performAutoSave(slotIndex);
+    }, idleMs));
+}
+
+// Increments only for normal generation or if usage === 0
+export async function processMessageForAutoSave(data) {
+    const extensionSettings = getExtensionSettings();
+    
     const characterName = getNormalizedCharacterNameFromData(data);
     
     if (!characterName) {
@@ -51,6 +170,13 @@ export async function processMessageForAutoSave(data) {
         return;
     }
     
+    // Slot's cache now ends with this message, recognized by it after page reload
+    setSlotAnchor(slotIndex, createMessageAnchor(getContext()?.chat));
+    
+    if (!extensionSettings.enabled) {
+        return;
+    }
+    
     const slotsState = getSlotsState();
     const slot = slotsState[slotIndex];
     const generationType = slot?.generationType;
@@ -60,13 +186,17 @@ export async function processMessageForAutoSave(data) {
     
     if (shouldIncrement) {
         incrementSlotUsage(slotIndex);
-        const newUsage = slot.usage;
-        
-        await checkAndPerformAutoSave(slotIndex, newUsage);
-        
-        const { updateSlotsList } = await import('./slot-manager.js');
-        updateSlotsList();
+        // Time trigger counts from the first message the saves don't have
+        slot.activeSince ??= Date.now();
     }
     
+    slot.lastActivityAt = Date.now();
     slot.generationType = null;
+    
+    // Swipes and continues add tokens too, so triggers are checked on every message, not only on counted ones
+    await checkAndPerformAutoSave(slotIndex);
+    scheduleIdleSave(characterName);
+    
+    const { updateSlotsList } = await import('./slot-manager.js');
+    updateSlotsList();
 }
@@ -0,0 +1,201 @@
+import { getCurrentChatId } from "../../../../../script.js";
+
+import { createTar, readTar } from '../utils/tar.js';
+import { formatTimestamp, getNormalizedChatId, normalizeCharacterName } from '../utils/utils.js';
+import { getFilesList, parseSaveFilename, generateSaveFilename, downloadSaveFile, uploadSaveFile, getExtensionVersion } from './file-manager.js';
+import { collectExistingIds } from './orphans.js';
+import { getPoolModelFingerprints } from './server-capabilities.js';
+
+export const BUNDLE_FORMAT = 'kv-cache-manager-bundle';
+export const BUNDLE_VERSION = 1;
+
+const MANIFEST_NAME = 'manifest.json';
+const SAVES_DIRECTORY = 'saves/';
+
+/**
+ * Pack saves into a bundle: the .bin files plus a manifest with their metadata and model fingerprints
+ * @param {Array<{filename: string, metadata: Object|null}>} saves - Saves to export
+ * @param {function(number, number): void} onProgress - Called with number of downloaded and total saves
+ * @returns {Promise<Blob>} Bundle (tar archive)
+ * @throws {Error} If a save can't be downloaded
+ */
+export async function createBundle(saves, onProgress = () => {}) {
+    const entries = [];
+    const manifestSaves = [];
+
+    for (const save of saves) {
+        onProgress(entries.length, saves.length);
+        const data = await downloadSaveFile(save.filename);
+        const parsed = parseSaveFilename(save.filename);
+
+        entries.push({ name: `${SAVES_DIRECTORY}${save.filename}`, data });
+        manifestSaves.push({
+            filename: save.filename,
+            size: data.size,
+            chatId: parsed?.chatId ?? null,
+            characterName: parsed?.characterName ?? null,
+            modelFingerprint: save.metadata?.modelFingerprint ?? parsed?.modelFingerprint ?? null,
+            metadata: save.metadata || null
+        });
+    }
+    onProgress(saves.length, saves.length);
+
+    const manifest = {
+        format: BUNDLE_FORMAT,
+        bundleVersion: BUNDLE_VERSION,
+        extensionVersion: await getExtensionVersion(),
+        createdAt: new Date().toISOString(),
+        modelFingerprints: [...new Set(manifestSaves.map(save => save.modelFingerprint).filter(Boolean))],
+        saves: manifestSaves
+    };
+
+    return createTar([
+        { name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) },
+        ...entries
+    ]);
+}
+
+/**
+ * Suggest file name for bundle
+ * @param {string} label - What is exported (chat or character id)
+ * @returns {string} File name
+ */
+export function getBundleFilename(label) {
+    return `kv-cache_${label || 'saves'}_${formatTimestamp()}.tar`;
+}
+
+/**
+ * Read bundle
+ * @param {Blob} file - Bundle file
+ * @returns {Promise<{manifest: Object, entries: Map<string, Blob>}>} Manifest and save contents by filename
+ * @throws {Error} If file is not a bundle or is damaged
+ */
+export async function readBundle(file) {
+    const tarEntries = await readTar(file);
+    const manifestEntry = tarEntries.find(entry => entry.name === MANIFEST_NAME);
+    if (!manifestEntry) {
+        throw new Error('Not a KV cache bundle: manifest is missing');
+    }
+
+    const manifest = JSON.parse(await manifestEntry.data.text());
+    if (manifest?.format !== BUNDLE_FORMAT || !Array.isArray(manifest.saves)) {
+        throw new Error('Not a KV cache bundle');
+    }
+    if (manifest.bundleVersion > BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${manifest.bundleVersion} is not supported, update the extension`);
+    }
+
+    const entries = new Map();
+    for (const entry of tarEntries) {
+        if (entry.name.startsWith(SAVES_DIRECTORY)) {
+            entries.set(entry.name.slice(SAVES_DIRECTORY.length), entry.data);
+        }
+    }
+
+    return { manifest, entries };
+}
+
+/**
+ * Check that filename from bundle manifest is a save name that is safe to give to the file plugin
+ * The manifest comes from a file of unknown origin, so names that could point outside the save directory are rejected
+ * @param {*} filename - Filename from manifest
+ * @returns {boolean}
+ */
+function isValidSaveFilename(filename) {
+    return typeof filename === 'string'
+        && filename.endsWith('.bin')
+        && !/[\\/]/.test(filename)
+        && !filename.includes('..')
+        && parseSaveFilename(filename) !== null;
+}
+
+/**
+ * Check each save of bundle against this SillyTavern and the loaded models
+ * Ids are derived from names, so saves keep pointing at chats and characters with the same names.
+ * Saves of chats that don't exist here can be assigned to the current chat
+ * @param {{manifest: Object, entries: Map<string, Blob>}} bundle - Bundle from readBundle
+ * @param {Object} options - Options
+ * @param {boolean} options.assignMissingChatsToCurrent - Move saves of unknown chats to the current chat
+ * @returns {Promise<Array<{save: Object, filename: string, metadata: Object|null, chatId: string, chatExists: boolean, characterExists: boolean, compatible: boolean, alreadyExists: boolean, missingData: boolean, invalidName: boolean, importable: boolean}>>}
+ * @throws {Error} If list of existing chats can't be loaded
+ */
+export async function planBundleImport(bundle, options = {}) {
+    const { chatIds, characterIds } = await collectExistingIds();
+    const existingFiles = new Set((await getFilesList()).map(file => file.name));
+    const poolModelFingerprints = getPoolModelFingerprints();
+    const currentChatId = getNormalizedChatId();
+
+    return bundle.manifest.saves.map(save => {
+        const invalidName = !isValidSaveFilename(save.filename);
+        const parsed = invalidName ? null : parseSaveFilename(save.filename);
+        const chatId = parsed?.chatId ?? save.chatId;
+        const characterName = parsed?.characterName
+            ?? (save.metadata?.characterName ? normalizeCharacterName(save.metadata.characterName) : save.characterName);
+
+        const chatExists = chatIds.has(chatId);
+        let targetChatId = chatId;
+        let filename = String(save.filename);
+        const metadata = save.metadata ? { ...save.metadata } : null;
+
+        if (!chatExists && options.assignMissingChatsToCurrent && parsed) {
+            targetChatId = currentChatId;
+            filename = generateSaveFilename(currentChatId, parsed.timestamp, parsed.characterName, parsed.tag, parsed.modelFingerprint);
+            if (metadata) {
+                metadata.chatName = getCurrentChatId() || null;
+                // Anchor and prompt describe the history of the other chat: autoload would skip the save as diverged
+                // or, if the hashes happened to match, take it for a cache of this chat's history
+                metadata.anchor = null;
+                metadata.promptFingerprint = null;
+            }
+        }
+        if (metadata) {
+            metadata.importedAt = new Date().toISOString();
+        }
+
+        // Saves without fingerprint predate fingerprints and can't be checked
+        const compatible = !save.modelFingerprint || poolModelFingerprints.size === 0 || poolModelFingerprints.has(save.modelFingerprint);
+        const alreadyExists = existingFiles.has(filename);
+        const missingData = !bundle.entries.has(save.filename);
+
+        return {
+            save: save,
+            filename: filename,
+            metadata: metadata,
+            chatId: targetChatId,
+            chatExists: chatExists,
+            characterExists: characterIds.has(characterName),
+            compatible: compatible,
+            alreadyExists: alreadyExists,
+            missingData: missingData,
+            invalidName: invalidName,
+            importable: !invalidName && compatible && !alreadyExists && !missingData
+        };
+    });
+}
+
+/**
+ * Upload saves of bundle through the file plugin
+ * @param {{manifest: Object, entries: Map<string, Blob>}} bundle - Bundle from readBundle
+ * @param {Array} plan - Items of planBundleImport to import
+ * @param {function(number, number): void} onProgress - Called with number of uploaded and total saves
+ * @returns {Promise<{imported: Array, failed: Array<{item: Object, error: Error}>}>} Imported and failed plan items
+ */
+export async function importBundle(bundle, plan, onProgress = () => {}) {
+    const imported = [];
+    const failed = [];
+
+    for (let i = 0; i < plan.length; i++) {
+        onProgress(i, plan.length);
+        const item = plan[i];
+        try {
+            await uploadSaveFile(item.filename, bundle.entries.get(item.save.filename), item.metadata);
+            imported.push(item);
+        } catch (e) {
+            console.error(`[KV Cache Manager] Error importing ${item.filename}:`, e);
+            failed.push({ item, error: e });
+        }
+    }
+    onProgress(plan.length, plan.length);
+
+    return { imported, failed };
+}
@@ -1,35 +1,143 @@
-import LlamaApi from '../api/llama-api.js';
+import { AuthError } from '../api/http-client.js';
+import { CircuitOpenError } from '../api/circuit-breaker.js';
 import { formatTimestamp, getNormalizedChatId } from '../utils/utils.js';
-import { generateSaveFilename, rotateCharacterFiles, validateCacheFile } from './file-manager.js';
-import { getAllSlotsInfo, getSlotsState, resetSlotUsage, setSlotCacheLoaded, getSlotsCountFromData, updateSlotsList } from './slot-manager.js';
+import { generateSaveFilename, parseSaveFilename, rotateCharacterFiles, validateCacheFile, verifySaveFile, getSaveChecksum, createSaveMetadata, writeSaveMetadata, markSaveLoaded, getIndexedSaves, SAVE_PROBLEMS } from './file-manager.js';
+import { enforceStorageQuota } from './storage-quota.js';
+import { getSlotsState, getSlotLocation, resetSlotUsage, setSlotCacheLoaded, setSlotPromptFingerprint, setSlotSavedTokens, setSlotAnchor, updateSlotsList } from './slot-manager.js';
+import { getBackendAdapter } from './server-pool.js';
+import { isSlotSaveSupported, isModelCompatible, getServerCapabilities, getModelName } from './server-capabilities.js';
+import { enqueueSlotOperation, OPERATION_PRIORITY, OPERATION_TYPES } from './operation-queue.js';
 import { showToast, disableAllSaveButtons, enableAllSaveButtons, showTagInputPopup } from '../ui/ui.js';
 import { getExtensionSettings, MIN_USAGE_FOR_SAVE } from '../settings.js';
 
-const llamaApi = new LlamaApi();
+/**
+ * Resolve slot index to the server that owns the slot
+ * @param {number} slotIndex - Slot index
+ * @returns {{backend: BackendAdapter, slotId: number, serverUrl: string}} Backend adapter of the owning server and server-local slot id
+ * @throws {Error} If slot doesn't exist
+ */
+function resolveSlot(slotIndex) {
+    const location = getSlotLocation(slotIndex);
+    if (!location) {
+        throw new Error(`Slot ${slotIndex} not found`);
+    }
+    return { backend: getBackendAdapter(location.serverUrl), slotId: location.slotId, serverUrl: location.serverUrl };
+}
 
 /**
- * Save cache for slot
+ * Describe integrity problem of save for the user
+ * @param {string} problem - One of SAVE_PROBLEMS
+ * @returns {string} Description
+ */
+export function getSaveProblemLabel(problem) {
+    switch (problem) {
+        case SAVE_PROBLEMS.TOO_SMALL:
+            return t`file is too small`;
+        case SAVE_PROBLEMS.SIZE_MISMATCH:
+            return t`size differs from what the server wrote`;
+        case SAVE_PROBLEMS.CHECKSUM_MISMATCH:
+            return t`checksum mismatch`;
+        default:
+            return t`damaged`;
+    }
+}
+
+/**
+ * Check if slot's server can save and restore caches
+ * @param {number} slotIndex - Slot index
+ * @returns {boolean}
+ */
+function canSaveSlot(slotIndex) {
+    const location = getSlotLocation(slotIndex);
+    return location !== null && isSlotSaveSupported(location.serverUrl);
+}
+
+/**
+ * Get fingerprint of model loaded on slot's server
+ * @param {number} slotIndex - Slot index
+ * @returns {string|null} Model fingerprint or null if unknown
+ */
+export function getSlotModelFingerprint(slotIndex) {
+    const location = getSlotLocation(slotIndex);
+    return location ? getServerCapabilities(location.serverUrl).modelFingerprint : null;
+}
+
+/**
+ * Check if save can be restored into slot (made with the same model as loaded on slot's server)
+ * @param {number} slotIndex - Slot index
+ * @param {string} filename - Save filename
+ * @returns {boolean}
+ */
+export function isCacheCompatibleWithSlot(slotIndex, filename) {
+    const location = getSlotLocation(slotIndex);
+    if (!location) {
+        return false;
+    }
+    const parsed = parseSaveFilename(filename);
+    return isModelCompatible(parsed?.modelFingerprint, location.serverUrl);
+}
+
+/**
+ * Save cache for slot without queueing (caller must run it inside a slot operation)
  * @param {number} slotId - Slot index
  * @param {string} filename - Filename for saving
  * @param {string} characterName - Character name (required)
+ * @param {Object} details - Values for metadata record
+ * @param {string|null} details.tag - Original (not normalized) tag of manual save
  * @returns {Promise<boolean>} true if saved successfully
  */
-export async function saveSlotCache(slotId, filename, characterName) {
+async function performSlotSave(slotId, filename, characterName, details = {}) {
+    if (!canSaveSlot(slotId)) {
+        console.warn(`[KV Cache Manager] Cache for ${characterName} not saved: slot save is disabled on the server`);
+        return false;
+    }
+    
     try {
-        await llamaApi.saveSlotCache(slotId, filename);
+        const slot = resolveSlot(slotId);
+        const result = await slot.backend.saveSlot(slot.slotId, filename);
         
-        const isValid = await validateCacheFile(filename, characterName);
+        const isValid = await validateCacheFile(filename, characterName, result?.nWritten ?? null);
         if (!isValid) {
             return false;
         }
         
+        // Saves are then checked against the checksum before every restore
+        const checksum = await getSaveChecksum(filename).catch(e => {
+            console.warn(`[KV Cache Manager] Failed to get checksum of ${filename}:`, e);
+            return null;
+        });
+        
+        const parsed = parseSaveFilename(filename);
+        const capabilities = getServerCapabilities(slot.serverUrl);
+        const metadata = await createSaveMetadata({
+            characterName: characterName,
+            timestamp: parsed?.timestamp ?? null,
+            tag: details.tag ?? parsed?.tag ?? null,
+            nSaved: result?.nSaved ?? null,
+            nWritten: result?.nWritten ?? null,
+            checksum: checksum?.checksum ?? null,
+            promptFingerprint: getSlotsState()[slotId]?.promptFingerprint ?? null,
+            modelFingerprint: parsed?.modelFingerprint ?? capabilities.modelFingerprint,
+            modelName: capabilities.modelPath ? getModelName(capabilities.modelPath) : null
+        });
+        await writeSaveMetadata(filename, metadata);
+        // Token trigger of autosave counts from here
+        setSlotSavedTokens(slotId, result?.nSaved ?? null);
+        
         showToast('success', t`Cache for ${characterName} saved successfully`);
         
         return true;
     } catch (e) {
+        if (e instanceof CircuitOpenError) {
+            // Server offline state is shown in the slot list
+            console.warn(`[KV Cache Manager] Cache for ${characterName} not saved: ${e.message}`);
+            return false;
+        }
         console.error(`[KV Cache Manager] Error saving slot ${slotId}:`, e);
         const errorMessage = e.message || 'Unknown error';
-        if (errorMessage.includes('Timeout') || errorMessage.includes('timeout')) {
+        if (e instanceof AuthError) {
+            showToast('error', t`Authentication failed while saving cache for ${characterName}. Check the API key in extension settings`);
+        } else if (errorMessage.includes('Timeout') || errorMessage.includes('timeout')) {
             showToast('error', t`Timeout while saving cache for ${characterName}`);
         } else {
             showToast('error', t`Error saving cache for ${characterName}: ${errorMessage}`);
@@ -38,21 +146,78 @@ export async function saveSlotCache(slotId, filename, characterName) {
     }
 }
 
+/**
+ * Save cache for slot
+ * @param {number} slotId - Slot index
+ * @param {string} filename - Filename for saving
+ * @param {string} characterName - Character name (required)
+ * @param {Object} options - Options
+ * @param {number} options.priority - Queue priority (default: OPERATION_PRIORITY.USER)
+ * @param {string|null} options.tag - Original (not normalized) tag of manual save, kept in metadata
+ * @returns {Promise<boolean>} true if saved successfully
+ */
+export async function saveSlotCache(slotId, filename, characterName, options = {}) {
+    return enqueueSlotOperation(slotId, {
+        type: OPERATION_TYPES.SAVE,
+        label: t`Save ${characterName} (slot ${slotId})`,
+        priority: options.priority ?? OPERATION_PRIORITY.USER,
+        run: () => performSlotSave(slotId, filename, characterName, { tag: options.tag ?? null })
+    });
+}
+
 /**
  * Load cache for slot
+ * Restores with the same file that are already waiting in the slot queue are merged
  * @param {number} slotId - Slot index
  * @param {string} filename - Filename to load
+ * @param {Object} options - Options
+ * @param {number} options.priority - Queue priority (default: OPERATION_PRIORITY.USER)
  * @returns {Promise<boolean>} true if loaded successfully
  */
-export async function loadSlotCache(slotId, filename) {
+export async function loadSlotCache(slotId, filename, options = {}) {
+    return enqueueSlotOperation(slotId, {
+        type: OPERATION_TYPES.RESTORE,
+        label: t`Restore ${filename} (slot ${slotId})`,
+        priority: options.priority ?? OPERATION_PRIORITY.USER,
+        coalesceKey: `restore:${filename}`,
+        run: () => performSlotLoad(slotId, filename)
+    });
+}
+
+async function performSlotLoad(slotId, filename) {
+    if (!canSaveSlot(slotId)) {
+        console.warn(`[KV Cache Manager] Cache ${filename} not loaded: slot restore is disabled on the server`);
+        return false;
+    }
+    
+    // Restoring cache of another model produces garbage or a server error
+    if (!isCacheCompatibleWithSlot(slotId, filename)) {
+        console.warn(`[KV Cache Manager] Cache ${filename} not loaded: it was made with a different model`);
+        return false;
+    }
+    
+    // Restoring a truncated or damaged file fails on the server or, worse, fills the slot with garbage
+    const { valid, problem } = await verifySaveFile(filename);
+    if (!valid) {
+        showToast('error', t`Save ${filename} is damaged (${getSaveProblemLabel(problem)}) and was not loaded`);
+        return false;
+    }
+    
     try {
-        await llamaApi.loadSlotCache(slotId, filename);
+        const slot = resolveSlot(slotId);
+        await slot.backend.restoreSlot(slot.slotId, filename);
         
         // Reset usage counter to 0 and mark cache as loaded on any cache load
         resetSlotUsage(slotId);
         setSlotCacheLoaded(slotId, true);
+        // Slot now holds the prompt and tokens of the save, until the next generation replaces them
+        const save = (await getIndexedSaves()).find(item => item.name === filename);
+        setSlotPromptFingerprint(slotId, save?.parsed?.promptFingerprint ?? null);
+        setSlotSavedTokens(slotId, save?.parsed?.nSaved ?? null);
+        setSlotAnchor(slotId, save?.parsed?.anchor ?? null);
         
         updateSlotsList();
+        await markSaveLoaded(filename);
         
         return true;
     } catch (e) {
@@ -61,9 +226,27 @@ export async function loadSlotCache(slotId, filename) {
     }
 }
 
-export async function clearSlotCache(slotId) {
+/**
+ * Erase cache of slot
+ * @param {number} slotId - Slot index
+ * @param {Object} options - Options
+ * @param {number} options.priority - Queue priority (default: OPERATION_PRIORITY.USER)
+ * @returns {Promise<boolean>} true if erased successfully
+ */
+export async function clearSlotCache(slotId, options = {}) {
+    return enqueueSlotOperation(slotId, {
+        type: OPERATION_TYPES.ERASE,
+        label: t`Erase slot ${slotId}`,
+        priority: options.priority ?? OPERATION_PRIORITY.USER,
+        coalesceKey: 'erase',
+        run: () => performSlotClear(slotId)
+    });
+}
+
+async function performSlotClear(slotId) {
     try {
-        await llamaApi.clearSlotCache(slotId);
+        const slot = resolveSlot(slotId);
+        await slot.backend.eraseSlot(slot.slotId);
         
         updateSlotsList();
         
@@ -74,15 +257,16 @@ export async function clearSlotCache(slotId) {
     }
 }
 
-export async function clearAllSlotsCache() {
+/**
+ * Erase caches of all slots in the pool
+ * @param {Object} options - Options
+ * @param {number} options.priority - Queue priority (default: OPERATION_PRIORITY.USER)
+ * @returns {Promise<boolean>} true if at least one slot was erased
+ */
+export async function clearAllSlotsCache(options = {}) {
     try {
-        const slotsData = await getAllSlotsInfo();
-        
-        if (!slotsData) {
-            return false;
-        }
-        
-        const totalSlots = getSlotsCountFromData(slotsData);
+        // Slots of all servers in the pool
+        const totalSlots = getSlotsState().length;
         
         if (totalSlots === 0) {
             return true;
@@ -93,7 +277,7 @@ export async function clearAllSlotsCache() {
         
         for (let slotId = 0; slotId < totalSlots; slotId++) {
             try {
-                if (await clearSlotCache(slotId)) {
+                if (await clearSlotCache(slotId, options)) {
                     clearedCount++;
                 } else {
                     errors.push(`слот ${slotId}`);
@@ -129,11 +313,14 @@ export async function clearAllSlotsCache() {
 
 /**
  * Save cache for character (auto-save)
+ * Saves of the same character that are already waiting in the slot queue are merged
  * @param {string} characterName - Normalized character name
  * @param {number} slotIndex - Slot index
+ * @param {Object} options - Options
+ * @param {number} options.priority - Queue priority (default: OPERATION_PRIORITY.USER)
  * @returns {Promise<boolean>} true if cache was saved, false on error
  */
-export async function saveCharacterCache(characterName, slotIndex) {
+export async function saveCharacterCache(characterName, slotIndex, options = {}) {
     if (!characterName || typeof characterName !== 'string') {
         return false;
     }
@@ -142,15 +329,37 @@ export async function saveCharacterCache(characterName, slotIndex) {
         return false;
     }
     
+    try {
+        return await enqueueSlotOperation(slotIndex, {
+            type: OPERATION_TYPES.SAVE,
+            label: t`Save ${characterName} (slot ${slotIndex})`,
+            priority: options.priority ?? OPERATION_PRIORITY.USER,
+            coalesceKey: `save:${characterName}`,
+            run: () => performCharacterSave(characterName, slotIndex)
+        });
+    } catch (e) {
+        console.error(`[KV Cache Manager] Error saving cache for character ${characterName}:`, e);
+        return false;
+    }
+}
+
+async function performCharacterSave(characterName, slotIndex) {
+    // Slot may have been given to another character while the save was waiting in the queue
+    if (getSlotsState()[slotIndex]?.characterName !== characterName) {
+        console.warn(`[KV Cache Manager] Cache for ${characterName} not saved: slot ${slotIndex} no longer holds this character`);
+        return false;
+    }
+    
     try {
         const chatId = getNormalizedChatId();
         const timestamp = formatTimestamp();
-        const filename = generateSaveFilename(chatId, timestamp, characterName);
+        const filename = generateSaveFilename(chatId, timestamp, characterName, null, getSlotModelFingerprint(slotIndex));
         
-        const success = await saveSlotCache(slotIndex, filename, characterName);
+        const success = await performSlotSave(slotIndex, filename, characterName);
         
         if (success) {
             await rotateCharacterFiles(characterName);
+            await enforceStorageQuota({ keep: [filename] });
             
             resetSlotUsage(slotIndex);
             
@@ -165,7 +374,13 @@ export async function saveCharacterCache(characterName, slotIndex) {
     }
 }
 
-export async function saveAllSlotsCache() {
+/**
+ * Save caches of all characters in slots before slots are cleared
+ * @param {Object} options - Options
+ * @param {number} options.priority - Queue priority (default: OPERATION_PRIORITY.EVICTION)
+ */
+export async function saveAllSlotsCache(options = {}) {
+    const priority = options.priority ?? OPERATION_PRIORITY.EVICTION;
     const slotsState = getSlotsState();
     const totalSlots = slotsState.length;
     
@@ -181,7 +396,7 @@ export async function saveAllSlotsCache() {
                 
                 // Save cache before eviction only if character used slot at least N times
                 if (usageCount >= MIN_USAGE_FOR_SAVE) {
-                    await saveCharacterCache(currentCharacter, i);
+                    await saveCharacterCache(currentCharacter, i, { priority });
                 }
             }
         }
@@ -223,6 +438,7 @@ export async function saveCache(requestTag = false) {
     }
     
     const successfullySaved = [];
+    const savedFilenames = [];
     const saveErrors = [];
     
     const extensionSettings = getExtensionSettings();
@@ -235,10 +451,11 @@ export async function saveCache(requestTag = false) {
         
         try {
             const timestamp = formatTimestamp();
-            const filename = generateSaveFilename(chatId, timestamp, characterName, tag);
+            const filename = generateSaveFilename(chatId, timestamp, characterName, tag, getSlotModelFingerprint(slotIndex));
             
-            if (await saveSlotCache(slotIndex, filename, characterName)) {
+            if (await saveSlotCache(slotIndex, filename, characterName, { tag })) {
                 successfullySaved.push(characterName);
+                savedFilenames.push(filename);
                 
                 // Rotate files only for auto-saves (not for tagged saves)
                 if (!tag) {
@@ -253,5 +470,9 @@ export async function saveCache(requestTag = false) {
         }
     }
     
+    if (savedFilenames.length > 0) {
+        await enforceStorageQuota({ keep: savedFilenames });
+    }
+    
     return successfullySaved.length > 0;
 }
@@ -0,0 +1,111 @@
+import { getCurrentChatId } from "../../../../../script.js";
+import { getContext } from "../../../../extensions.js";
+import { t } from '../../../../i18n.js';
+
+import { HttpError } from '../api/http-client.js';
+import { getNormalizedChatId, normalizeChatId, sortByTimestamp } from '../utils/utils.js';
+import { getIndexedSaves, getSaveProblem, generateSaveFilename, copySaveFile } from './file-manager.js';
+import { getHistoryHashes, isAnchorInHistory } from './message-anchors.js';
+import { showToast } from '../ui/ui.js';
+import { getExtensionSettings } from '../settings.js';
+
+// Copying is only reported once per session when the plugin can't do it
+let copyUnsupportedWarned = false;
+
+/**
+ * Get name of chat the current chat was branched or checkpointed from
+ * SillyTavern keeps it in chat metadata as main_chat
+ * @returns {string|null} Parent chat name or null if current chat is not a branch
+ */
+export function getParentChatName() {
+    const parentChatName = getContext()?.chatMetadata?.main_chat;
+    return parentChatName && typeof parentChatName === 'string' ? parentChatName : null;
+}
+
+/**
+ * Pick the save of each character of parent chat to start the branch with:
+ * the newest intact save whose anchored messages are all in the branch history
+ * Saves without anchor can't be checked and are not picked
+ * @param {Array} parentSaves - Saves of parent chat from getIndexedSaves
+ * @param {string[]} historyHashes - Hashes of branch history
+ * @returns {Map<string, Object>} Character name -> save
+ */
+function selectSavesToFork(parentSaves, historyHashes) {
+    const matching = parentSaves.filter(file =>
+        file.parsed.anchor && isAnchorInHistory(file.parsed.anchor, historyHashes) && !getSaveProblem(file)
+    );
+    sortByTimestamp(matching);
+
+    const selected = new Map();
+    for (const file of matching) {
+        if (!selected.has(file.parsed.characterName)) {
+            selected.set(file.parsed.characterName, file);
+        }
+    }
+    return selected;
+}
+
+/**
+ * CHAT_CHANGED handler: when the opened chat is a branch or checkpoint, copy the parent's best-matching save
+ * of every character that has no save in the branch yet. The copy is an autosave of the branch and remembers
+ * where it came from (forkedFrom in metadata)
+ * @returns {Promise<number>} Number of copied saves
+ */
+export async function forkParentSaves() {
+    const extensionSettings = getExtensionSettings();
+    const parentChatName = getParentChatName();
+    if (!extensionSettings.enabled || !extensionSettings.forkOnBranch || !parentChatName) {
+        return 0;
+    }
+
+    const chatId = getNormalizedChatId();
+    const parentChatId = normalizeChatId(parentChatName);
+    if (chatId === 'unknown' || parentChatId === chatId) {
+        return 0;
+    }
+
+    const saves = (await getIndexedSaves()).filter(file => file.parsed);
+    const branchCharacters = new Set(saves.filter(file => file.parsed.chatId === chatId).map(file => file.parsed.characterName));
+    const parentSaves = saves.filter(file => file.parsed.chatId === parentChatId && !branchCharacters.has(file.parsed.characterName));
+    if (parentSaves.length === 0) {
+        return 0;
+    }
+
+    const toFork = selectSavesToFork(parentSaves, getHistoryHashes(getContext()?.chat));
+    let forkedCount = 0;
+
+    for (const file of toFork.values()) {
+        const parsed = file.parsed;
+        const newFilename = generateSaveFilename(chatId, parsed.timestamp, parsed.characterName, null, parsed.modelFingerprint);
+        // Anchored saves always have metadata
+        const metadata = {
+            ...file.metadata,
+            chatName: getCurrentChatId() || null,
+            tag: null,
+            note: null,
+            pinned: false,
+            lastLoadedAt: null,
+            forkedFrom: { chatName: parentChatName, filename: file.name },
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await copySaveFile(file.name, newFilename, metadata);
+            forkedCount++;
+        } catch (e) {
+            if (e instanceof HttpError && e.status === 404) {
+                if (!copyUnsupportedWarned) {
+                    copyUnsupportedWarned = true;
+                    showToast('warning', t`The file plugin can't copy saves. Update the plugin to start branches with the parent chat's cache`);
+                }
+                break;
+            }
+            console.error(`[KV Cache Manager] Error copying ${file.name} into branch:`, e);
+        }
+    }
+
+    if (forkedCount > 0 && extensionSettings.showNotifications) {
+        showToast('success', t`Copied ${forkedCount} saves from parent chat ${parentChatName}`);
+    }
+    return forkedCount;
+}
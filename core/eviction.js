@@ -0,0 +1,76 @@
+import { getExtensionSettings, EVICTION_LFU_WINDOW_MS } from '../settings.js';
+
+export const EVICTION_POLICIES = {
+    // Slot whose last generation is the oldest
+    LRU: 'lru',
+    // Slot with the fewest generations within EVICTION_LFU_WINDOW_MS
+    LFU: 'lfu',
+    // Slot with the fewest cached tokens, i.e. the cheapest to process again
+    CHEAPEST: 'cheapest',
+    // Slot with the lowest usage counter (messages since last save or load)
+    USAGE: 'usage'
+};
+
+function formatAgo(ms) {
+    return ms < 60000 ? `${Math.round(ms / 1000)}s ago` : `${Math.round(ms / 60000)} min ago`;
+}
+
+function countRecentGenerations(slot, now) {
+    return (slot.generationTimes || []).filter(time => now - time <= EVICTION_LFU_WINDOW_MS).length;
+}
+
+// Score of slot under each policy, the lowest score is evicted. reason describes it for the log
+const policies = {
+    [EVICTION_POLICIES.LRU]: (slot, now) => ({
+        score: slot.lastGeneratedAt || 0,
+        reason: slot.lastGeneratedAt ? `least recently used, last generation ${formatAgo(now - slot.lastGeneratedAt)}` : 'least recently used, no generation yet'
+    }),
+    [EVICTION_POLICIES.LFU]: (slot, now) => {
+        const count = countRecentGenerations(slot, now);
+        return {
+            score: count,
+            reason: `least frequently used, ${count} generations in the last ${Math.round(EVICTION_LFU_WINDOW_MS / 60000)} min`
+        };
+    },
+    [EVICTION_POLICIES.CHEAPEST]: (slot) => ({
+        score: slot.nPast || 0,
+        reason: `cheapest to rebuild, ${slot.nPast ?? 'unknown number of'} cached tokens`
+    }),
+    [EVICTION_POLICIES.USAGE]: (slot) => ({
+        score: slot.usage || 0,
+        reason: `lowest usage counter, ${slot.usage || 0} messages since last save`
+    })
+};
+
+export function getEvictionPolicy() {
+    const policy = getExtensionSettings().evictionPolicy;
+    return policies[policy] ? policy : EVICTION_POLICIES.LRU;
+}
+
+/**
+ * Choose slot to give to another character when all slots are taken
+ * Pinned slots, slots of protected characters and slots their server no longer has are never chosen; ties go to the first slot
+ * @param {Array<Object>} slotsState - Slots from slot-manager
+ * @param {Set<string>|null} protectedCharacters - Normalized names of characters that can't be evicted
+ * @param {string} policy - One of EVICTION_POLICIES
+ * @param {number} now - Current time in ms
+ * @returns {{index: number, reason: string}|null} Slot index with the reason for the log, or null if every slot is protected
+ */
+export function selectSlotToEvict(slotsState, protectedCharacters = null, policy = getEvictionPolicy(), now = Date.now()) {
+    const getScore = policies[policy] || policies[EVICTION_POLICIES.LRU];
+    let selected = null;
+
+    for (let i = 0; i < slotsState.length; i++) {
+        const slot = slotsState[i];
+        if (!slot?.serverUrl || slot.pinned || (protectedCharacters && slot?.characterName && protectedCharacters.has(slot.characterName))) {
+            continue;
+        }
+
+        const { score, reason } = getScore(slot || {}, now);
+        if (selected === null || score < selected.score) {
+            selected = { index: i, score, reason };
+        }
+    }
+
+    return selected ? { index: selected.index, reason: selected.reason } : null;
+}
@@ -1,48 +1,89 @@
+import { getCurrentChatId } from "../../../../../script.js";
+import { getContext } from "../../../../extensions.js";
+import { t } from '../../../../i18n.js';
+
 import FilePluginApi from '../api/file-plugin-api.js';
+import { HttpError } from '../api/http-client.js';
 import { normalizeChatId, normalizeCharacterName, normalizeString, getNormalizedChatId, parseFilesList, sortByTimestamp } from '../utils/utils.js';
+import { getOriginalCharacterName } from '../utils/character-utils.js';
+import { getRetentionPolicy, selectFilesToDelete } from './retention.js';
+import { createMessageAnchor, isAnchorInHistory } from './message-anchors.js';
+import { getPromptPrefixMatch } from './prompt-prefix.js';
 import { showToast } from '../ui/ui.js';
-import { getExtensionSettings, MIN_FILE_SIZE_MB, FILE_CHECK_DELAY_MS } from '../settings.js';
+import { getExtensionSettings, extensionFolderPath, MIN_FILE_SIZE_MB, FILE_CHECK_DELAY_MS, FILE_INDEX_MAX_AGE_MS } from '../settings.js';
+
+// Bumped when fields of the metadata record change meaning
+export const SAVE_METADATA_VERSION = 1;
+
+// Why a save failed integrity check
+export const SAVE_PROBLEMS = {
+    TOO_SMALL: 'too-small',
+    SIZE_MISMATCH: 'size-mismatch',
+    CHECKSUM_MISMATCH: 'checksum-mismatch'
+};
 
 const filePluginApi = new FilePluginApi();
 
+let extensionVersion = null;
+let metadataSupported = true;
+
+// Saves found damaged in this session, for when their metadata can't be written
+const corruptedSaves = new Map();
+
+// Parsed list of save files, so that rotation, autoload and the load popup don't list the directory every time.
+// Our own operations update it in place; changes made elsewhere (other tabs, file manager) are picked up
+// when the index is older than FILE_INDEX_MAX_AGE_MS or refreshed on demand
+const fileIndex = {
+    // filename -> { name, size, metadata, parsed }
+    entries: null,
+    loadedAt: 0,
+    loading: null,
+    // Incremented on every in-place change, to detect changes made while the directory was being listed
+    generation: 0
+};
+
 /**
  * Generate filename in unified format
  * Formats:
- * - Auto-save: {chatId}_{timestamp}_character_{characterName}.bin
- * - With tag: {chatId}_{timestamp}_tag_{tag}_character_{characterName}.bin
- * @param {string} chatId - Chat ID
+ * - Auto-save: {chatId}_{timestamp}_model_{fingerprint}_character_{characterName}.bin
+ * - With tag: {chatId}_{timestamp}_tag_{tag}_model_{fingerprint}_character_{characterName}.bin
+ * The model segment is omitted if model is unknown
+ * @param {string} chatId - Normalized chat ID
  * @param {string} timestamp - Timestamp
- * @param {string} characterName - Character name (required)
+ * @param {string} characterName - Normalized character name (required)
  * @param {string} tag - Tag for manual save (optional)
+ * @param {string} modelFingerprint - Fingerprint of the model that produced the cache (optional)
  * @returns {string} Filename
  */
-export function generateSaveFilename(chatId, timestamp, characterName, tag = null) {
-    const safeChatId = normalizeChatId(chatId);
+export function generateSaveFilename(chatId, timestamp, characterName, tag = null, modelFingerprint = null) {
+    const safeChatId = chatId || 'unknown';
     const safeCharacterName = characterName;
+    const modelSuffix = modelFingerprint ? `_model_${modelFingerprint}` : '';
     
     if (tag) {
         const safeTag = normalizeString(tag);
-        return `${safeChatId}_${timestamp}_tag_${safeTag}_character_${safeCharacterName}.bin`;
+        return `${safeChatId}_${timestamp}_tag_${safeTag}${modelSuffix}_character_${safeCharacterName}.bin`;
     }
     
-    return `${safeChatId}_${timestamp}_character_${safeCharacterName}.bin`;
+    return `${safeChatId}_${timestamp}${modelSuffix}_character_${safeCharacterName}.bin`;
 }
 
 /**
  * Parse filename to extract data
  * Supports formats:
- * - Auto-save: {chatId}_{timestamp}_character_{characterName}.bin
- * - With tag: {chatId}_{timestamp}_tag_{tag}_character_{characterName}.bin
+ * - Auto-save: {chatId}_{timestamp}[_model_{fingerprint}]_character_{characterName}.bin
+ * - With tag: {chatId}_{timestamp}_tag_{tag}[_model_{fingerprint}]_character_{characterName}.bin
  * Also supports old format for backward compatibility:
  * - {chatId}_{timestamp}_tag_{tag}_slot{slotId}.bin
  * - {chatId}_{timestamp}_slot{slotId}.bin
  * @param {string} filename - Filename to parse
- * @returns {Object|null} { chatId, timestamp, tag, slotId, characterName } or null on error
+ * @returns {Object|null} { chatId, timestamp, tag, modelFingerprint, characterName } or null on error
  */
 export function parseSaveFilename(filename) {
     const nameWithoutExt = filename.replace(/\.bin$/, '');
     
     let tag = null;
+    let modelFingerprint = null;
     let characterName = null;
     let beforeSuffix = nameWithoutExt;
     
@@ -54,6 +95,12 @@ export function parseSaveFilename(filename) {
     characterName = characterMatch[1];
     beforeSuffix = nameWithoutExt.slice(0, -characterMatch[0].length);
     
+    const modelMatch = beforeSuffix.match(/_model_([0-9a-f]{8})$/);
+    if (modelMatch) {
+        modelFingerprint = modelMatch[1];
+        beforeSuffix = beforeSuffix.slice(0, -modelMatch[0].length);
+    }
+    
     const tagMatch = beforeSuffix.match(/_tag_(.+)$/);
     if (tagMatch) {
         tag = tagMatch[1];
@@ -73,25 +120,224 @@ export function parseSaveFilename(filename) {
         chatId: chatId,
         timestamp: timestamp,
         tag: tag,
+        modelFingerprint: modelFingerprint,
         characterName: characterName
     };
 }
 
-export async function getFilesList() {
+/**
+ * Parse save file using its metadata record, falling back to the filename
+ * Metadata takes precedence: it keeps values the filename can't (original names, message count, token count, note)
+ * @param {string} filename - Filename
+ * @param {Object} file - File entry from getFilesList (with metadata, if any)
+ * @returns {Object|null} Parsed filename fields extended with metadata fields, or null if neither can be read
+ */
+export function parseSaveFile(filename, file = null) {
+    const parsed = parseSaveFilename(filename);
+    const metadata = file?.metadata;
+    
+    if (!metadata) {
+        return parsed;
+    }
+    
+    const characterName = parsed?.characterName ?? (metadata.characterName ? normalizeCharacterName(metadata.characterName) : null);
+    const timestamp = parsed?.timestamp ?? metadata.timestamp ?? null;
+    if (!characterName || !timestamp) {
+        return parsed;
+    }
+    
+    return {
+        chatId: parsed?.chatId ?? normalizeChatId(metadata.chatName),
+        timestamp: timestamp,
+        tag: metadata.tag ?? parsed?.tag ?? null,
+        modelFingerprint: metadata.modelFingerprint ?? parsed?.modelFingerprint ?? null,
+        characterName: characterName,
+        originalCharacterName: metadata.characterName ?? null,
+        chatName: metadata.chatName ?? null,
+        messageCount: metadata.messageCount ?? null,
+        anchor: metadata.anchor ?? null,
+        promptFingerprint: metadata.promptFingerprint ?? null,
+        nSaved: metadata.nSaved ?? null,
+        nWritten: metadata.nWritten ?? null,
+        checksum: metadata.checksum ?? null,
+        corrupted: metadata.corrupted ?? null,
+        modelName: metadata.modelName ?? null,
+        note: metadata.note ?? null,
+        pinned: Boolean(metadata.pinned),
+        extensionVersion: metadata.extensionVersion ?? null
+    };
+}
+
+/**
+ * Get metadata records of all saves
+ * Older plugin versions have no metadata endpoint: then saves are described by filenames only
+ * @returns {Promise<Object>} { [filename]: metadata }
+ */
+export async function getSavesMetadata() {
+    if (!metadataSupported) {
+        return {};
+    }
+    
     try {
-        const data = await filePluginApi.getFilesList();
-        
-        if (data) {
-            const binFiles = (data.files || []).filter(file => 
-                file.name.endsWith('.bin') && !file.isDirectory
-            );
-            return binFiles.map(file => ({
-                name: file.name,
-                size: file.size || 0
-            }));
+        const data = await filePluginApi.getAllMetadata();
+        return data?.metadata || {};
+    } catch (e) {
+        if (e instanceof HttpError && e.status === 404) {
+            console.warn('[KV Cache Manager] File plugin does not support save metadata, update the plugin to keep names, notes and token counts');
+            metadataSupported = false;
+        } else {
+            console.warn('[KV Cache Manager] Error getting save metadata:', e);
         }
-        
-        return [];
+        return {};
+    }
+}
+
+/**
+ * Write metadata record of save
+ * Failure is not fatal: the save is still described by its filename
+ * @param {string} filename - Save filename
+ * @param {Object} metadata - Metadata record
+ * @returns {Promise<boolean>} true if written
+ */
+export async function writeSaveMetadata(filename, metadata) {
+    if (!metadataSupported) {
+        return false;
+    }
+    
+    try {
+        await filePluginApi.writeMetadata(filename, metadata);
+        updateIndexEntry(filename, { metadata });
+        return true;
+    } catch (e) {
+        console.warn(`[KV Cache Manager] Error writing metadata for ${filename}:`, e);
+        return false;
+    }
+}
+
+export async function getExtensionVersion() {
+    if (extensionVersion === null) {
+        try {
+            const manifest = await $.getJSON(`${extensionFolderPath}/manifest.json`);
+            extensionVersion = manifest?.version || 'unknown';
+        } catch (e) {
+            extensionVersion = 'unknown';
+        }
+    }
+    return extensionVersion;
+}
+
+/**
+ * Create metadata record for new save of current chat
+ * @param {Object} details - Save details
+ * @param {string} details.characterName - Normalized character name
+ * @param {string} details.timestamp - Save timestamp
+ * @param {string|null} details.tag - Tag of manual save
+ * @param {string|null} details.note - Free-text note
+ * @param {number|null} details.nSaved - Number of saved tokens reported by the server
+ * @param {number|null} details.nWritten - Number of written bytes reported by the server
+ * @param {string|null} details.checksum - Checksum of the file ("algorithm:hex")
+ * @param {Object|null} details.promptFingerprint - Fingerprint of prompt the cache was built from (see createPromptFingerprint)
+ * @param {string|null} details.modelFingerprint - Model fingerprint
+ * @param {string|null} details.modelName - Model file name
+ * @returns {Promise<Object>} Metadata record
+ */
+export async function createSaveMetadata(details) {
+    const context = getContext();
+    
+    return {
+        metadataVersion: SAVE_METADATA_VERSION,
+        characterName: getOriginalCharacterName(details.characterName),
+        chatName: getCurrentChatId() || null,
+        messageCount: Array.isArray(context?.chat) ? context.chat.length : null,
+        // Last message the cache contains, autoload skips the save once history before it changes
+        anchor: Array.isArray(context?.chat) ? createMessageAnchor(context.chat) : null,
+        // Prompt the cache was built from, autoload skips the save once the prompt prefix changes
+        promptFingerprint: details.promptFingerprint ?? null,
+        timestamp: details.timestamp,
+        nSaved: details.nSaved ?? null,
+        nWritten: details.nWritten ?? null,
+        checksum: details.checksum ?? null,
+        modelFingerprint: details.modelFingerprint ?? null,
+        modelName: details.modelName ?? null,
+        tag: details.tag ?? null,
+        note: details.note ?? null,
+        extensionVersion: await getExtensionVersion(),
+        createdAt: new Date().toISOString()
+    };
+}
+
+function createIndexEntry(name, size, metadata) {
+    const entry = { name: name, size: size || 0, metadata: metadata || null };
+    entry.parsed = parseSaveFile(name, entry);
+    return entry;
+}
+
+/**
+ * Change save in file index after our own operation
+ * @param {string} filename - Save filename
+ * @param {Object|null} changes - Changed fields ({ size, metadata }); null removes the save
+ * @param {boolean} create - Add the save if index doesn't have it
+ */
+function updateIndexEntry(filename, changes, create = false) {
+    if (!fileIndex.entries) {
+        return;
+    }
+    
+    fileIndex.generation++;
+    const entry = fileIndex.entries.get(filename);
+    if (changes === null) {
+        fileIndex.entries.delete(filename);
+    } else if (entry || create) {
+        fileIndex.entries.set(filename, createIndexEntry(
+            filename,
+            changes.size ?? entry?.size,
+            'metadata' in changes ? changes.metadata : entry?.metadata
+        ));
+    }
+}
+
+async function loadFileIndex() {
+    const generation = fileIndex.generation;
+    const data = await filePluginApi.getFilesList();
+    
+    const binFiles = (data?.files || []).filter(file => 
+        file.name.endsWith('.bin') && !file.isDirectory
+    );
+    const metadata = binFiles.length > 0 ? await getSavesMetadata() : {};
+    
+    fileIndex.entries = new Map(binFiles.map(file => [file.name, createIndexEntry(file.name, file.size, metadata[file.name])]));
+    // Changes made while listing may be missing from the listing, so the index is listed again on next use
+    fileIndex.loadedAt = generation === fileIndex.generation ? Date.now() : 0;
+}
+
+/**
+ * List save directory again and rebuild file index
+ * Concurrent calls share one request
+ * @returns {Promise<void>}
+ * @throws {Error} On request error
+ */
+export async function refreshFileIndex() {
+    if (!fileIndex.loading) {
+        fileIndex.loading = loadFileIndex().finally(() => {
+            fileIndex.loading = null;
+        });
+    }
+    await fileIndex.loading;
+}
+
+/**
+ * Get saves from file index, refreshing it if it's outdated
+ * Entries are shared with the index and must not be modified
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - List save directory even if index is up to date (default: false)
+ * @returns {Promise<Array<{name: string, size: number, metadata: Object|null, parsed: Object|null}>>} Saves or empty array on error
+ */
+export async function getIndexedSaves(options = {}) {
+    try {
+        if (options.refresh || !fileIndex.entries || Date.now() - fileIndex.loadedAt > FILE_INDEX_MAX_AGE_MS) {
+            await refreshFileIndex();
+        }
+        return [...fileIndex.entries.values()];
     } catch (e) {
         console.error('[KV Cache Manager] Error getting file list:', e);
         showToast('error', 'Error getting file list: ' + e.message);
@@ -99,9 +345,24 @@ export async function getFilesList() {
     }
 }
 
+/**
+ * Get list of save files
+ * @param {Object} options - Options (see getIndexedSaves)
+ * @returns {Promise<Array<{name: string, size: number, metadata: Object|null}>>} Files or empty array on error
+ */
+export async function getFilesList(options = {}) {
+    const saves = await getIndexedSaves(options);
+    return saves.map(save => ({ name: save.name, size: save.size, metadata: save.metadata }));
+}
+
 export async function deleteFile(filename) {
     try {
         await filePluginApi.deleteFile(filename);
+        updateIndexEntry(filename, null);
+        if (metadataSupported) {
+            // Metadata may be missing for old saves, so errors are ignored
+            await filePluginApi.deleteMetadata(filename).catch(() => {});
+        }
         return true;
     } catch (e) {
         console.warn(`[KV Cache Manager] Error deleting file ${filename}:`, e);
@@ -110,34 +371,233 @@ export async function deleteFile(filename) {
 }
 
 /**
- * General file rotation function
- * @param {Function} filterFn - File filtering function: (file) => boolean
- * @param {string} description - Description for logs and notifications (e.g., "for character CharacterName" or "for chat")
+ * Download contents of save file
+ * @param {string} filename - Save filename
+ * @returns {Promise<Blob>} File contents
+ * @throws {HttpError} With status 404 if file doesn't exist or plugin version doesn't support downloading
+ * @throws {Error} On request error
+ */
+export async function downloadSaveFile(filename) {
+    return await filePluginApi.downloadFile(filename);
+}
+
+/**
+ * Upload save file together with its metadata record
+ * @param {string} filename - Save filename
+ * @param {Blob} data - File contents
+ * @param {Object|null} metadata - Metadata record (null - save has none)
+ * @returns {Promise<void>}
+ * @throws {HttpError} With status 404 if plugin version doesn't support uploading
+ * @throws {Error} On request error
+ */
+export async function uploadSaveFile(filename, data, metadata = null) {
+    await filePluginApi.uploadFile(filename, data);
+    updateIndexEntry(filename, { size: data.size, metadata: null }, true);
+    
+    if (metadata) {
+        await writeSaveMetadata(filename, metadata);
+    }
+}
+
+/**
+ * Rename save file together with its metadata record
+ * @param {string} filename - Current filename
+ * @param {string} newFilename - New filename
+ * @param {Object|null} metadata - Metadata record to keep under the new name (null if save has none)
+ * @returns {Promise<void>}
+ * @throws {HttpError} With status 404 if plugin version doesn't support renaming
+ * @throws {Error} On request error
+ */
+export async function renameSaveFile(filename, newFilename, metadata = null) {
+    await filePluginApi.renameFile(filename, newFilename);
+    const entry = fileIndex.entries?.get(filename);
+    updateIndexEntry(filename, null);
+    updateIndexEntry(newFilename, { size: entry?.size, metadata: null }, Boolean(entry));
+    
+    if (metadata) {
+        await writeSaveMetadata(newFilename, metadata);
+        await filePluginApi.deleteMetadata(filename).catch(() => {});
+    }
+}
+
+/**
+ * Copy save file together with a metadata record for the copy
+ * @param {string} filename - Source filename
+ * @param {string} newFilename - Filename of the copy
+ * @param {Object|null} metadata - Metadata record of the copy (null - copy has none)
+ * @returns {Promise<void>}
+ * @throws {HttpError} With status 404 if plugin version doesn't support copying
+ * @throws {Error} On request error
+ */
+export async function copySaveFile(filename, newFilename, metadata = null) {
+    await filePluginApi.copyFile(filename, newFilename);
+    const entry = fileIndex.entries?.get(filename);
+    updateIndexEntry(newFilename, { size: entry?.size, metadata: null }, Boolean(entry));
+    
+    if (metadata) {
+        await writeSaveMetadata(newFilename, metadata);
+    }
+}
+
+/**
+ * Change tag of save
+ * Tagged saves are manual saves and are never rotated, so removing the tag turns the save into an autosave
+ * @param {string} filename - Save filename
+ * @param {string|null} tag - New tag (empty or null - remove tag)
+ * @param {Object|null} metadata - Current metadata record of save
+ * @returns {Promise<string>} New filename
+ * @throws {Error} If filename can't be parsed or plugin request failed
+ */
+export async function setSaveTag(filename, tag, metadata = null) {
+    const parsed = parseSaveFilename(filename);
+    if (!parsed) {
+        throw new Error(`Unrecognized save filename: ${filename}`);
+    }
+    
+    const newTag = tag && tag.trim() ? tag.trim() : null;
+    const newFilename = generateSaveFilename(parsed.chatId, parsed.timestamp, parsed.characterName, newTag, parsed.modelFingerprint);
+    const newMetadata = metadata ? { ...metadata, tag: newTag } : null;
+    
+    if (newFilename !== filename) {
+        await renameSaveFile(filename, newFilename, newMetadata);
+    } else if (newMetadata) {
+        // Different tags can normalize to the same filename part, the original tag is kept in metadata
+        await filePluginApi.writeMetadata(filename, newMetadata);
+        updateIndexEntry(filename, { metadata: newMetadata });
+    }
+    
+    return newFilename;
+}
+
+/**
+ * Change fields of save metadata record
+ * Saves without metadata get a record built from the filename
+ * @param {string} filename - Save filename
+ * @param {Object} changes - Fields to set
+ * @param {Object|null} metadata - Current metadata record of save
+ * @returns {Promise<void>}
+ * @throws {Error} If plugin request failed (e.g. plugin version doesn't support metadata)
+ */
+async function updateSaveMetadata(filename, changes, metadata) {
+    const parsed = parseSaveFilename(filename);
+    const baseMetadata = metadata || {
+        metadataVersion: SAVE_METADATA_VERSION,
+        timestamp: parsed?.timestamp ?? null,
+        tag: parsed?.tag ?? null,
+        modelFingerprint: parsed?.modelFingerprint ?? null
+    };
+    
+    const newMetadata = { ...baseMetadata, ...changes };
+    await filePluginApi.writeMetadata(filename, newMetadata);
+    updateIndexEntry(filename, { metadata: newMetadata });
+}
+
+/**
+ * Set free-text note of save
+ * @param {string} filename - Save filename
+ * @param {string|null} note - Note (empty or null - remove note)
+ * @param {Object|null} metadata - Current metadata record of save
+ * @returns {Promise<void>}
+ * @throws {Error} If plugin request failed (e.g. plugin version doesn't support metadata)
+ */
+export async function setSaveNote(filename, note, metadata = null) {
+    await updateSaveMetadata(filename, { note: note && note.trim() ? note.trim() : null }, metadata);
+}
+
+/**
+ * Pin or unpin save
+ * Pinned saves are never deleted by rotation, whatever the retention policy
+ * @param {string} filename - Save filename
+ * @param {boolean} pinned - Pin state
+ * @param {Object|null} metadata - Current metadata record of save
+ * @returns {Promise<void>}
+ * @throws {Error} If plugin request failed (e.g. plugin version doesn't support metadata)
+ */
+export async function setSavePinned(filename, pinned, metadata = null) {
+    await updateSaveMetadata(filename, { pinned: Boolean(pinned) }, metadata);
+}
+
+/**
+ * Remember when save was last loaded into a slot, for least-recently-used cleanup of the storage budget
+ * Failure is not fatal: the save is then treated as last used when it was made
+ * @param {string} filename - Save filename
+ * @returns {Promise<void>}
+ */
+export async function markSaveLoaded(filename) {
+    if (!metadataSupported) {
+        return;
+    }
+    
+    try {
+        const saves = await getIndexedSaves();
+        const metadata = saves.find(save => save.name === filename)?.metadata || null;
+        await updateSaveMetadata(filename, { lastLoadedAt: new Date().toISOString() }, metadata);
+    } catch (e) {
+        console.warn(`[KV Cache Manager] Error recording load of ${filename}:`, e);
+    }
+}
+
+/**
+ * Plan rotation of chat: saves each character would lose under the chat retention policy
+ * Used both by rotation itself and by the preview, so the preview lists exactly what rotation deletes
+ * @param {string} chatId - Normalized chat ID
+ * @param {string|null} characterName - Normalized character name (null - all characters of chat)
+ * @param {Array|null} filesList - Files from getFilesList (null - use file index)
+ * @returns {Promise<Array<{characterName: string, files: Array}>>} Saves to delete per character, newest first
+ */
+export async function planRotation(chatId, characterName = null, filesList = null) {
+    const files = filesList ? parseFilesList(filesList, parseSaveFile) : await getIndexedSaves();
+    const policy = getRetentionPolicy(chatId);
+    
+    const filesByCharacter = {};
+    for (const file of files) {
+        if (!file.parsed || file.parsed.chatId !== chatId) {
+            continue;
+        }
+        if (characterName && file.parsed.characterName !== characterName) {
+            continue;
+        }
+        (filesByCharacter[file.parsed.characterName] ??= []).push(file);
+    }
+    
+    return Object.entries(filesByCharacter)
+        .map(([name, characterFiles]) => ({ characterName: name, files: selectFilesToDelete(characterFiles, policy) }))
+        .filter(plan => plan.files.length > 0);
+}
+
+/**
+ * Delete saves selected by planRotation
+ * @param {Array<{characterName: string, files: Array}>} plan - Rotation plan
+ * @returns {Promise<number>} Number of deleted files
+ */
+export async function deleteRotationPlan(plan) {
+    let deletedCount = 0;
+    for (const { files } of plan) {
+        for (const file of files) {
+            if (await deleteFile(file.name)) {
+                deletedCount++;
+            }
+        }
+    }
+    return deletedCount;
+}
+
+/**
+ * Rotate saves of current chat according to its retention policy
+ * @param {string|null} characterName - Normalized character name (null - all characters of chat)
+ * @param {string} description - Description for notifications (e.g., "for character CharacterName")
  * @param {string} context - Context for logs (e.g., "character CharacterName" or "chat")
  * @returns {Promise<void>}
  */
-export async function rotateFiles(filterFn, description, context) {
+export async function rotateFiles(characterName, description, context) {
     const extensionSettings = getExtensionSettings();
-    const maxFiles = extensionSettings.maxFiles || 10;
     const chatId = getNormalizedChatId();
     
     try {
-        const filesList = await getFilesList();
-        
-        const filteredFiles = parseFilesList(filesList, parseSaveFilename).filter(filterFn);
+        const plan = await planRotation(chatId, characterName);
         
-        sortByTimestamp(filteredFiles);
-        
-        if (filteredFiles.length > maxFiles) {
-            const filesToDelete = filteredFiles.slice(maxFiles);
-            
-            let deletedCount = 0;
-            for (const file of filesToDelete) {
-                const deleted = await deleteFile(file.name);
-                if (deleted) {
-                    deletedCount++;
-                }
-            }
+        if (plan.length > 0) {
+            const deletedCount = await deleteRotationPlan(plan);
             
             if (deletedCount > 0 && extensionSettings.showNotifications) {
                 showToast('warning', `Удалено ${deletedCount} старых автосохранений ${description}`, 'Ротация файлов');
@@ -150,7 +610,7 @@ export async function rotateFiles(filterFn, description, context) {
 
 /**
  * Rotate files for specific character
- * @param {string} characterName - Character name (will be normalized)
+ * @param {string} characterName - Normalized character name
  * @returns {Promise<void>}
  */
 export async function rotateCharacterFiles(characterName) {
@@ -158,18 +618,11 @@ export async function rotateCharacterFiles(characterName) {
         return;
     }
     
-    // characterName should already be normalized, but normalize for safety
-    const normalizedName = normalizeCharacterName(characterName);
+    // Ids are hashed, so the name is passed as is: normalizing it again would produce a different id
     const chatId = getNormalizedChatId();
     
     await rotateFiles(
-        (file) => {
-            if (!file.parsed) return false;
-            const parsedNormalizedName = normalizeCharacterName(file.parsed.characterName || '');
-            return file.parsed.chatId === chatId && 
-                   parsedNormalizedName === normalizedName &&
-                   !file.parsed.tag; // Only auto-saves (without tag)
-        },
+        characterName,
         `для персонажа ${characterName} в чате ${chatId}`,
         `для ${characterName}`
     );
@@ -178,7 +631,8 @@ export async function rotateCharacterFiles(characterName) {
 export function groupFilesByChatAndCharacter(files) {
     const chats = {};
     
-    const parsedFiles = parseFilesList(files, parseSaveFilename);
+    // Saves of file index are already parsed
+    const parsedFiles = files.every(file => file.parsed !== undefined) ? files : parseFilesList(files, parseSaveFile);
     
     for (const file of parsedFiles) {
         if (!file.parsed) {
@@ -199,7 +653,18 @@ export function groupFilesByChatAndCharacter(files) {
         chats[chatId][characterName].push({
             timestamp: file.parsed.timestamp,
             filename: file.name,
-            tag: file.parsed.tag || null
+            size: file.size || 0,
+            tag: file.parsed.tag || null,
+            modelFingerprint: file.parsed.modelFingerprint || null,
+            originalCharacterName: file.parsed.originalCharacterName || null,
+            chatName: file.parsed.chatName || null,
+            messageCount: file.parsed.messageCount ?? null,
+            anchor: file.parsed.anchor ?? null,
+            nSaved: file.parsed.nSaved ?? null,
+            note: file.parsed.note || null,
+            pinned: Boolean(file.parsed.pinned),
+            corrupted: getSaveProblem(file),
+            metadata: file.metadata || null
         });
     }
     
@@ -216,22 +681,31 @@ export function groupFilesByChatAndCharacter(files) {
  * Get last cache for character
  * @param {string} characterName - Normalized character name
  * @param {boolean} currentChatOnly - Search only in current chat (default: true)
- * @returns {Promise<Object|null>} Cache info or null
+ * @param {Object} options - Search options
+ * @param {string|null} options.modelFingerprint - Skip saves made with another model (default: null - don't check)
+ * @param {string[]|null} options.historyHashes - Hashes of current chat history (see getHistoryHashes);
+ *   saves whose anchored messages are no longer in it are skipped (default: null - don't check)
+ * @param {string|null} options.prompt - Current prompt text; saves whose prompt (see createPromptFingerprint)
+ *   shares less than options.minPromptMatch of it are skipped (default: null - don't check)
+ * @param {number} options.minPromptMatch - Minimal share of saved prompt that must match, from 0 to 1 (default: 0)
+ * @returns {Promise<Object|null>} Cache info { filename, skippedIncompatible, skippedCorrupted, skippedDiverged, skippedStalePrompt }
+ *   or null if character has no saves.
+ *   filename is null if all saves were made with another model, are damaged or don't match chat history or prompt
  */
-export async function getLastCacheForCharacter(characterName, currentChatOnly = true) {
+export async function getLastCacheForCharacter(characterName, currentChatOnly = true, options = {}) {
+    const { modelFingerprint = null, historyHashes = null, prompt = null, minPromptMatch = 0 } = options;
+    
     try {
-        const filesList = await getFilesList();
-        if (!filesList || filesList.length === 0) {
+        const parsedFiles = await getIndexedSaves();
+        if (parsedFiles.length === 0) {
             return null;
         }
         
-        // characterName should already be normalized, but normalize for safety
-        const normalizedCharacterName = normalizeCharacterName(characterName);
+        // characterName is already an id from normalizeCharacterName()
+        const normalizedCharacterName = characterName;
         
         const currentChatId = currentChatOnly ? getNormalizedChatId() : null;
         
-        const parsedFiles = parseFilesList(filesList, parseSaveFilename);
-        
         const characterFiles = [];
         
         for (const file of parsedFiles) {
@@ -245,12 +719,15 @@ export async function getLastCacheForCharacter(characterName, currentChatOnly =
             
             // Check by characterName in filename (primary method for group chat mode)
             if (file.parsed.characterName) {
-                const normalizedParsedName = normalizeCharacterName(file.parsed.characterName);
-                if (normalizedParsedName === normalizedCharacterName) {
+                if (file.parsed.characterName === normalizedCharacterName) {
                     characterFiles.push({
                         filename: file.name,
                         timestamp: file.parsed.timestamp,
-                        chatId: file.parsed.chatId
+                        chatId: file.parsed.chatId,
+                        modelFingerprint: file.parsed.modelFingerprint,
+                        anchor: file.parsed.anchor ?? null,
+                        promptFingerprint: file.parsed.promptFingerprint ?? null,
+                        corrupted: Boolean(getSaveProblem(file))
                     });
                     continue; // Found by characterName, no need to check fallback
                 }
@@ -263,7 +740,11 @@ export async function getLastCacheForCharacter(characterName, currentChatOnly =
                     characterFiles.push({
                         filename: file.name,
                         timestamp: file.parsed.timestamp,
-                        chatId: file.parsed.chatId
+                        chatId: file.parsed.chatId,
+                        modelFingerprint: file.parsed.modelFingerprint,
+                        anchor: file.parsed.anchor ?? null,
+                        promptFingerprint: file.parsed.promptFingerprint ?? null,
+                        corrupted: Boolean(getSaveProblem(file))
                     });
                 }
             }
@@ -275,10 +756,48 @@ export async function getLastCacheForCharacter(characterName, currentChatOnly =
         
         sortByTimestamp(characterFiles);
         
-        const lastFile = characterFiles[0];
+        // Damaged saves are never offered, the next-newest valid save is used instead
+        const intactFiles = characterFiles.filter(file => !file.corrupted);
+        const skippedCorrupted = characterFiles.length - intactFiles.length;
+        
+        // A save made after messages that were since deleted or edited holds a history that no longer exists.
+        // Saves without anchor predate anchors and can't be checked
+        const validFiles = historyHashes
+            ? intactFiles.filter(file => !file.anchor || isAnchorInHistory(file.anchor, historyHashes))
+            : intactFiles;
+        const skippedDiverged = intactFiles.length - validFiles.length;
+        
+        // After the system prompt, card, persona, world info or preset changed, the server would throw most of the
+        // restored cache away. Saves without prompt fingerprint predate them and can't be checked
+        const freshFiles = prompt && minPromptMatch > 0
+            ? validFiles.filter(file => (getPromptPrefixMatch(file.promptFingerprint, prompt) ?? 1) >= minPromptMatch)
+            : validFiles;
+        const skippedStalePrompt = validFiles.length - freshFiles.length;
+        
+        // Saves without fingerprint predate fingerprints and can't be checked
+        const lastFileIndex = freshFiles.findIndex(file =>
+            !modelFingerprint || !file.modelFingerprint || file.modelFingerprint === modelFingerprint
+        );
+        
+        if (lastFileIndex === -1) {
+            return {
+                filename: null,
+                skippedIncompatible: freshFiles.length,
+                skippedCorrupted: skippedCorrupted,
+                skippedDiverged: skippedDiverged,
+                skippedStalePrompt: skippedStalePrompt
+            };
+        }
+        
+        const lastFile = freshFiles[lastFileIndex];
         
         return {
             filename: lastFile.filename,
+            // Newer saves that were skipped because of another model
+            skippedIncompatible: lastFileIndex,
+            skippedCorrupted: skippedCorrupted,
+            skippedDiverged: skippedDiverged,
+            skippedStalePrompt: skippedStalePrompt
         };
     } catch (e) {
         console.error(`[KV Cache Manager] Error searching cache for character ${characterName}:`, e);
@@ -287,17 +806,134 @@ export async function getLastCacheForCharacter(characterName, currentChatOnly =
 }
 
 /**
- * Validate saved cache file size
+ * Get checksum of save file from the file plugin
+ * @param {string} filename - Save filename
+ * @returns {Promise<{checksum: string, size: number|null}|null>} Checksum ("algorithm:hex") and file size,
+ *   or null if plugin version can't compute checksums
+ * @throws {Error} On request error
+ */
+export async function getSaveChecksum(filename) {
+    try {
+        const result = await filePluginApi.getFileChecksum(filename);
+        if (!result?.checksum) {
+            return null;
+        }
+        return {
+            checksum: `${result.algorithm || 'sha256'}:${result.checksum}`,
+            size: result.size ?? null
+        };
+    } catch (e) {
+        if (e instanceof HttpError && e.status === 404) {
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Get why save is known to be damaged
+ * @param {Object} file - Save from getIndexedSaves
+ * @returns {string|null} One of SAVE_PROBLEMS or null if save is not known to be damaged
+ */
+export function getSaveProblem(file) {
+    return corruptedSaves.get(file.name) ?? file.parsed?.corrupted ?? null;
+}
+
+/**
+ * Check if save was found damaged in this session
+ * @param {string} filename - Save filename
+ * @returns {boolean}
+ */
+export function isSaveCorrupted(filename) {
+    return corruptedSaves.has(filename);
+}
+
+/**
+ * Mark save as damaged, so autoload skips it and the load popup shows it
+ * @param {string} filename - Save filename
+ * @param {string} problem - One of SAVE_PROBLEMS
+ * @param {Object|null} metadata - Current metadata record of save
+ * @returns {Promise<void>}
+ */
+async function markSaveCorrupted(filename, problem, metadata) {
+    corruptedSaves.set(filename, problem);
+    if (!metadataSupported) {
+        return;
+    }
+    
+    try {
+        await updateSaveMetadata(filename, { corrupted: problem }, metadata);
+    } catch (e) {
+        console.warn(`[KV Cache Manager] Error marking ${filename} as damaged:`, e);
+    }
+}
+
+/**
+ * Check save file against the size and checksum recorded when it was made
+ * Saves made before integrity records (or without metadata) are checked by minimum size only.
+ * A damaged save is marked in its metadata
+ * @param {string} filename - Save filename
+ * @returns {Promise<{valid: boolean, problem: string|null}>} Check result, problem is one of SAVE_PROBLEMS
+ */
+export async function verifySaveFile(filename) {
+    const save = (await getIndexedSaves()).find(file => file.name === filename);
+    if (!save) {
+        // Unknown to the index yet (e.g. made in another tab), the server reports missing files itself
+        return { valid: true, problem: null };
+    }
+    
+    const metadata = save.metadata;
+    let size = save.size;
+    let problem = null;
+    
+    if (metadata?.checksum) {
+        try {
+            const current = await getSaveChecksum(filename);
+            if (current) {
+                size = current.size ?? size;
+                if (current.checksum !== metadata.checksum) {
+                    problem = SAVE_PROBLEMS.CHECKSUM_MISMATCH;
+                }
+            }
+        } catch (e) {
+            // Checksum is a second line of defense, size is still checked
+            console.warn(`[KV Cache Manager] Failed to get checksum of ${filename}:`, e);
+        }
+    }
+    
+    if (!problem && metadata?.nWritten && size !== metadata.nWritten) {
+        problem = SAVE_PROBLEMS.SIZE_MISMATCH;
+    }
+    if (!problem && size / (1024 * 1024) < MIN_FILE_SIZE_MB) {
+        problem = SAVE_PROBLEMS.TOO_SMALL;
+    }
+    
+    if (problem) {
+        console.warn(`[KV Cache Manager] Save ${filename} is damaged: ${problem}`);
+        if (getSaveProblem(save) !== problem) {
+            await markSaveCorrupted(filename, problem, metadata);
+        }
+        return { valid: false, problem };
+    }
+    
+    return { valid: true, problem: null };
+}
+
+/**
+ * Validate just saved cache file: size must be at least MIN_FILE_SIZE_MB and match the size reported by the server
+ * An invalid file is deleted
  * @param {string} filename - Filename to check
  * @param {string} characterName - Character name (for notifications)
- * @returns {Promise<boolean>} true if file is valid, false if file is too small and was deleted
+ * @param {number|null} nWritten - Number of bytes the server reported as written (null - not reported)
+ * @returns {Promise<boolean>} true if file is valid, false if file is damaged and was deleted
  */
-export async function validateCacheFile(filename, characterName) {
+export async function validateCacheFile(filename, characterName, nWritten = null) {
     try {
         // Wait a bit to ensure file is saved on server
         await new Promise(resolve => setTimeout(resolve, FILE_CHECK_DELAY_MS));
         
-        const filesList = await getFilesList();
+        // The save was written by llama.cpp, so it's not in the file index yet
+        const filesList = await getFilesList({ refresh: true });
         const savedFile = filesList.find(file => file.name === filename);
         
         if (savedFile) {
@@ -309,6 +945,13 @@ export async function validateCacheFile(filename, characterName) {
                 showToast('warning', `Файл кеша для ${characterName} слишком мал, не сохранён`);
                 return false;
             }
+            
+            if (nWritten && savedFile.size !== nWritten) {
+                console.warn(`[KV Cache Manager] File ${filename} has ${savedFile.size} bytes, server reported ${nWritten}, deleting as truncated`);
+                await deleteFile(filename);
+                showToast('warning', t`Cache file for ${characterName} was written incompletely and was not saved`);
+                return false;
+            }
         }
         
         return true;
@@ -318,4 +961,3 @@ export async function validateCacheFile(filename, characterName) {
         return true;
     }
 }
-
@@ -0,0 +1,45 @@
+import { hashString } from '../utils/utils.js';
+
+// A save is anchored to the last chat message it contains. The anchor hash covers the whole history up to
+// that message, so editing, deleting or swiping any earlier message also breaks the match
+
+/**
+ * Hash chat history
+ * @param {Array<Object>} chat - Chat messages
+ * @returns {string[]} Hashes, element i covers messages 0..i
+ */
+export function getHistoryHashes(chat) {
+    const hashes = [];
+    let previous = '';
+    for (const message of chat || []) {
+        previous = hashString(`${previous}\n${message?.name ?? ''}\n${message?.mes ?? ''}`);
+        hashes.push(previous);
+    }
+    return hashes;
+}
+
+/**
+ * Create anchor of save at the end of chat history
+ * @param {Array<Object>} chat - Chat messages
+ * @returns {{messageIndex: number, messageHash: string}|null} Anchor or null for empty chat
+ */
+export function createMessageAnchor(chat) {
+    const hashes = getHistoryHashes(chat);
+    if (hashes.length === 0) {
+        return null;
+    }
+    return {
+        messageIndex: hashes.length - 1,
+        messageHash: hashes[hashes.length - 1]
+    };
+}
+
+/**
+ * Check if anchored messages are still in chat history unchanged
+ * @param {{messageIndex: number, messageHash: string}} anchor - Anchor of save
+ * @param {string[]} historyHashes - Hashes of current chat from getHistoryHashes
+ * @returns {boolean}
+ */
+export function isAnchorInHistory(anchor, historyHashes) {
+    return anchor.messageIndex < historyHashes.length && historyHashes[anchor.messageIndex] === anchor.messageHash;
+}
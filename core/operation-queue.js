@@ -0,0 +1,135 @@
+import { getSlotLocation } from './slot-manager.js';
+import { updatePendingOperationsIndicator } from '../ui/ui.js';
+
+// Lower value runs first
+export const OPERATION_PRIORITY = {
+    EVICTION: 0,
+    USER: 1,
+    AUTOSAVE: 2
+};
+
+export const OPERATION_TYPES = {
+    SAVE: 'save',
+    RESTORE: 'restore',
+    ERASE: 'erase'
+};
+
+// One queue per physical slot (server URL + server-local slot id): { running, pending }
+const slotQueues = new Map();
+let nextSequence = 0;
+
+function getQueueKey(location) {
+    return `${location.serverUrl}#${location.slotId}`;
+}
+
+function sortPending(queue) {
+    queue.pending.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+}
+
+/**
+ * Run queued operations of one slot one at a time
+ * @param {string} key - Queue key
+ * @param {Object} queue - Slot queue
+ */
+async function processQueue(key, queue) {
+    if (queue.running) {
+        return;
+    }
+
+    while (queue.pending.length > 0) {
+        const operation = queue.pending.shift();
+        queue.running = operation;
+        updatePendingOperationsIndicator();
+
+        try {
+            operation.resolve(await operation.run());
+        } catch (e) {
+            operation.reject(e);
+        }
+
+        queue.running = null;
+    }
+
+    slotQueues.delete(key);
+    updatePendingOperationsIndicator();
+}
+
+/**
+ * Queue save/restore/erase operation on slot
+ * Operations on the same slot never overlap; pending operations run by priority, then in order of arrival.
+ * An operation with the same coalesceKey as a pending (not yet started) one is merged into it:
+ * the caller gets the result of the pending operation, which takes the higher of both priorities.
+ * run must not queue and wait for another operation on the same slot, otherwise the queue deadlocks
+ * @param {number} slotIndex - Slot index
+ * @param {Object} operation - Operation
+ * @param {string} operation.type - One of OPERATION_TYPES
+ * @param {string} operation.label - Human-readable description for the pending operations indicator
+ * @param {function(): Promise<any>} operation.run - Performs the operation
+ * @param {number} operation.priority - One of OPERATION_PRIORITY (default: USER)
+ * @param {string|null} operation.coalesceKey - Key for merging duplicate requests (default: none)
+ * @returns {Promise<any>} Result of run
+ */
+export function enqueueSlotOperation(slotIndex, operation) {
+    const location = getSlotLocation(slotIndex);
+    if (!location) {
+        return Promise.reject(new Error(`Slot ${slotIndex} not found`));
+    }
+
+    const key = getQueueKey(location);
+    let queue = slotQueues.get(key);
+    if (!queue) {
+        queue = { running: null, pending: [] };
+        slotQueues.set(key, queue);
+    }
+
+    const priority = operation.priority ?? OPERATION_PRIORITY.USER;
+    const coalesceKey = operation.coalesceKey ?? null;
+
+    if (coalesceKey) {
+        const duplicate = queue.pending.find(pending => pending.coalesceKey === coalesceKey);
+        if (duplicate) {
+            console.debug(`[KV Cache Manager] Operation "${operation.label}" merged with pending duplicate`);
+            duplicate.priority = Math.min(duplicate.priority, priority);
+            sortPending(queue);
+            return duplicate.promise;
+        }
+    }
+
+    const entry = {
+        type: operation.type,
+        label: operation.label,
+        run: operation.run,
+        priority: priority,
+        coalesceKey: coalesceKey,
+        sequence: nextSequence++
+    };
+    entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+    });
+
+    queue.pending.push(entry);
+    sortPending(queue);
+    updatePendingOperationsIndicator();
+
+    processQueue(key, queue);
+
+    return entry.promise;
+}
+
+/**
+ * Get running and waiting operations of all slots
+ * @returns {Array<{type: string, label: string, priority: number, running: boolean}>}
+ */
+export function getPendingOperations() {
+    const operations = [];
+    for (const queue of slotQueues.values()) {
+        if (queue.running) {
+            operations.push({ type: queue.running.type, label: queue.running.label, priority: queue.running.priority, running: true });
+        }
+        for (const pending of queue.pending) {
+            operations.push({ type: pending.type, label: pending.label, priority: pending.priority, running: false });
+        }
+    }
+    return operations;
+}
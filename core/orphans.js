@@ -0,0 +1,137 @@
+import { getPastCharacterChats } from "../../../../../script.js";
+import { getContext } from "../../../../extensions.js";
+import { groups } from '../../../../group-chats.js';
+
+import { createStableId, normalizeString, normalizeChatId, normalizeCharacterName } from '../utils/utils.js';
+import { getIndexedSaves, deleteFile } from './file-manager.js';
+
+export const ORPHAN_REASONS = {
+    CHAT_DELETED: 'chat',
+    CHARACTER_DELETED: 'character'
+};
+
+/**
+ * Add ids a name can appear under in save filenames: the current id and the id of saves made before stable ids
+ * @param {Set<string>} ids - Set to extend
+ * @param {string} name - Original chat or character name
+ */
+function addKnownIds(ids, name) {
+    if (name && typeof name === 'string') {
+        ids.add(createStableId(name));
+        ids.add(normalizeString(name));
+    }
+}
+
+/**
+ * Collect ids of all chats and characters that exist in SillyTavern
+ * Ids of saves made before stable ids are included, so old saves of existing chats are not reported
+ * @returns {Promise<{chatIds: Set<string>, characterIds: Set<string>}>}
+ * @throws {Error} If chat list of a character can't be loaded (then nothing can be called orphaned safely)
+ */
+export async function collectExistingIds() {
+    const context = getContext();
+    const characters = context?.characters || [];
+    const chatIds = new Set(['unknown']);
+    const characterIds = new Set();
+
+    for (let characterId = 0; characterId < characters.length; characterId++) {
+        const character = characters[characterId];
+        if (!character) {
+            continue;
+        }
+        addKnownIds(characterIds, character.name);
+        addKnownIds(chatIds, character.chat);
+
+        const pastChats = await getPastCharacterChats(characterId);
+        if (!Array.isArray(pastChats)) {
+            throw new Error(`Failed to get chats of ${character.name}`);
+        }
+        for (const chat of pastChats) {
+            addKnownIds(chatIds, String(chat?.file_name || '').replace(/\.jsonl$/, ''));
+        }
+    }
+
+    for (const group of groups || []) {
+        for (const chatName of group?.chats || []) {
+            addKnownIds(chatIds, chatName);
+        }
+    }
+
+    return { chatIds, characterIds };
+}
+
+/**
+ * Find saves of chats and characters that no longer exist in SillyTavern
+ * A save is orphaned if its chat was deleted (all characters' saves in it) or its character was deleted
+ * @returns {Promise<{files: Array<{name: string, size: number, chatId: string, characterName: string, chatName: string|null, originalCharacterName: string|null, timestamp: string, reason: string}>, totalSize: number}>}
+ * @throws {Error} If list of existing chats can't be loaded
+ */
+export async function findOrphanedSaves() {
+    const { chatIds, characterIds } = await collectExistingIds();
+    const files = await getIndexedSaves();
+
+    const orphanedFiles = [];
+    for (const file of files) {
+        if (!file.parsed) {
+            continue;
+        }
+
+        let reason = null;
+        if (!chatIds.has(file.parsed.chatId)) {
+            reason = ORPHAN_REASONS.CHAT_DELETED;
+        } else if (!characterIds.has(file.parsed.characterName)) {
+            reason = ORPHAN_REASONS.CHARACTER_DELETED;
+        }
+
+        if (reason) {
+            orphanedFiles.push({
+                name: file.name,
+                size: file.size,
+                chatId: file.parsed.chatId,
+                characterName: file.parsed.characterName,
+                chatName: file.parsed.chatName || null,
+                originalCharacterName: file.parsed.originalCharacterName || null,
+                timestamp: file.parsed.timestamp,
+                reason: reason
+            });
+        }
+    }
+
+    return {
+        files: orphanedFiles,
+        totalSize: orphanedFiles.reduce((sum, file) => sum + file.size, 0)
+    };
+}
+
+/**
+ * Find saves of one chat or one character
+ * @param {Object} filter - Filter
+ * @param {string|null} filter.chatName - Original chat name
+ * @param {string|null} filter.characterName - Original character name
+ * @returns {Promise<Array<{name: string, size: number}>>} Matching saves
+ */
+export async function findSavesOf(filter) {
+    // Old-style ids are not matched: different names could share them
+    const chatId = filter.chatName ? normalizeChatId(filter.chatName) : null;
+    const characterId = filter.characterName ? normalizeCharacterName(filter.characterName) : null;
+
+    const files = await getIndexedSaves();
+    return files.filter(file => file.parsed && (
+        (chatId && file.parsed.chatId === chatId) || (characterId && file.parsed.characterName === characterId)
+    ));
+}
+
+/**
+ * Delete saves
+ * @param {Array<{name: string}>} files - Saves to delete
+ * @returns {Promise<number>} Number of deleted files
+ */
+export async function deleteSaves(files) {
+    let deletedCount = 0;
+    for (const file of files) {
+        if (await deleteFile(file.name)) {
+            deletedCount++;
+        }
+    }
+    return deletedCount;
+}
@@ -0,0 +1,72 @@
+import { hashString } from '../utils/utils.js';
+
+// A save remembers the prompt its cache was built from as hashes of its full fixed-size chunks plus a hash of the
+// shorter tail after them. Each chunk hash covers the prompt from its start to the end of the chunk, so two prompts
+// match up to the first differing hash; the tail is compared with the same stretch of the current prompt
+
+const PROMPT_CHUNK_SIZE = 1024;
+
+function hashChunk(previous, chunk) {
+    return hashString(`${previous}\n${chunk}`);
+}
+
+/**
+ * Create fingerprint of prompt
+ * @param {string} prompt - Prompt text sent to the server
+ * @returns {{length: number, chunkSize: number, hashes: string[], tail: string}|null} Fingerprint or null for empty prompt
+ */
+export function createPromptFingerprint(prompt) {
+    if (typeof prompt !== 'string' || prompt.length === 0) {
+        return null;
+    }
+
+    const fullChunks = Math.floor(prompt.length / PROMPT_CHUNK_SIZE);
+    const hashes = [];
+    let previous = '';
+    for (let i = 0; i < fullChunks; i++) {
+        previous = hashChunk(previous, prompt.slice(i * PROMPT_CHUNK_SIZE, (i + 1) * PROMPT_CHUNK_SIZE));
+        hashes.push(previous);
+    }
+
+    return {
+        length: prompt.length,
+        chunkSize: PROMPT_CHUNK_SIZE,
+        hashes: hashes,
+        tail: hashString(prompt.slice(fullChunks * PROMPT_CHUNK_SIZE))
+    };
+}
+
+/**
+ * Share of saved prompt that current prompt starts with, i.e. how much of the saved cache the server can reuse
+ * Precision is one chunk: a prompt that differs inside a chunk only matches up to the start of that chunk.
+ * Fingerprints made before tails were stored also hashed the partial last chunk; it is ignored for them
+ * @param {Object} savedFingerprint - Fingerprint of prompt the save was made with
+ * @param {string} prompt - Current prompt text
+ * @returns {number|null} Share from 0 to 1, or null if prompts can't be compared
+ */
+export function getPromptPrefixMatch(savedFingerprint, prompt) {
+    const chunkSize = savedFingerprint?.chunkSize;
+    if (!savedFingerprint?.length || !Array.isArray(savedFingerprint.hashes) || !(chunkSize > 0)
+        || typeof prompt !== 'string' || prompt.length === 0) {
+        return null;
+    }
+
+    const fullChunks = Math.min(Math.floor(savedFingerprint.length / chunkSize), savedFingerprint.hashes.length);
+    let matchingChunks = 0;
+    let previous = '';
+    while (matchingChunks < fullChunks && (matchingChunks + 1) * chunkSize <= prompt.length) {
+        previous = hashChunk(previous, prompt.slice(matchingChunks * chunkSize, (matchingChunks + 1) * chunkSize));
+        if (previous !== savedFingerprint.hashes[matchingChunks]) {
+            break;
+        }
+        matchingChunks++;
+    }
+
+    const fullLength = fullChunks * chunkSize;
+    if (matchingChunks === fullChunks && savedFingerprint.tail !== undefined && prompt.length >= savedFingerprint.length
+        && hashString(prompt.slice(fullLength, savedFingerprint.length)) === savedFingerprint.tail) {
+        return 1;
+    }
+
+    return (matchingChunks * chunkSize) / savedFingerprint.length;
+}
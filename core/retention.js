@@ -0,0 +1,148 @@
+import { saveSettingsDebounced } from "../../../../../script.js";
+
+import { parseTimestamp, sortByTimestamp } from '../utils/utils.js';
+import { getExtensionSettings } from '../settings.js';
+
+export const RETENTION_POLICIES = {
+    // Last N autosaves
+    KEEP_LAST: 'keep-last',
+    // Grandfather-father-son: last N, plus the newest save of each day for D days and of each week for W weeks
+    GFS: 'gfs',
+    // Everything newer than X days
+    MAX_AGE: 'max-age'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get retention policy of chat
+ * Chat policy overrides the global one; the global "keep last" count is the max files setting
+ * @param {string} chatId - Normalized chat ID
+ * @returns {{type: string, keepLast: number, days: number, weeks: number, maxAgeDays: number, chatOverride: boolean}}
+ */
+export function getRetentionPolicy(chatId) {
+    const extensionSettings = getExtensionSettings();
+    const chatPolicy = chatId ? extensionSettings.chatRetentionPolicies?.[chatId] : null;
+
+    if (chatPolicy) {
+        return { ...chatPolicy, chatOverride: true };
+    }
+
+    return {
+        ...extensionSettings.retentionPolicy,
+        keepLast: extensionSettings.maxFiles || 10,
+        chatOverride: false
+    };
+}
+
+/**
+ * Set or remove retention policy of chat
+ * @param {string} chatId - Normalized chat ID
+ * @param {Object|null} policy - Policy (null - use global policy)
+ */
+export function setChatRetentionPolicy(chatId, policy) {
+    const extensionSettings = getExtensionSettings();
+    if (!extensionSettings.chatRetentionPolicies) {
+        extensionSettings.chatRetentionPolicies = {};
+    }
+
+    if (policy) {
+        const { chatOverride, ...storedPolicy } = policy;
+        extensionSettings.chatRetentionPolicies[chatId] = storedPolicy;
+    } else {
+        delete extensionSettings.chatRetentionPolicies[chatId];
+    }
+    saveSettingsDebounced();
+}
+
+function getDayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+}
+
+function getDayStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Weeks start on Monday
+function getWeekStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+}
+
+function getWeekKey(date) {
+    return getDayKey(getWeekStart(date));
+}
+
+/**
+ * Keep the newest save of each period within the window
+ * @param {Array} files - Saves sorted newest first
+ * @param {Set} keep - Saves to keep (extended in place)
+ * @param {Date} since - Start of the window
+ * @param {function(Date): string} getPeriodKey - Period of save date
+ */
+function keepNewestPerPeriod(files, keep, since, getPeriodKey) {
+    const seenPeriods = new Set();
+    for (const file of files) {
+        const date = parseTimestamp(file.parsed.timestamp);
+        if (date < since) {
+            break;
+        }
+        const periodKey = getPeriodKey(date);
+        if (!seenPeriods.has(periodKey)) {
+            seenPeriods.add(periodKey);
+            keep.add(file);
+        }
+    }
+}
+
+/**
+ * Select saves that rotation deletes under the policy
+ * Tagged and pinned saves are never deleted. Max age policy always keeps the newest save,
+ * so a chat that wasn't opened for a long time doesn't lose its only cache
+ * @param {Array} files - Parsed saves of one character in one chat (entries of parseFilesList)
+ * @param {Object} policy - Retention policy from getRetentionPolicy
+ * @param {Date} now - Current time
+ * @returns {Array} Saves to delete, newest first
+ */
+export function selectFilesToDelete(files, policy, now = new Date()) {
+    const candidates = files.filter(file => file.parsed && !file.parsed.tag && !file.parsed.pinned);
+    sortByTimestamp(candidates);
+
+    const keepLast = Math.max(1, policy.keepLast || 1);
+    const keep = new Set(candidates.slice(0, keepLast));
+
+    switch (policy.type) {
+        case RETENTION_POLICIES.GFS: {
+            // Windows include the current day and week
+            const daysStart = getDayStart(now);
+            daysStart.setDate(daysStart.getDate() - (policy.days || 0) + 1);
+            const weeksStart = getWeekStart(now);
+            weeksStart.setDate(weeksStart.getDate() - 7 * ((policy.weeks || 0) - 1));
+
+            if (policy.days > 0) {
+                keepNewestPerPeriod(candidates, keep, daysStart, getDayKey);
+            }
+            if (policy.weeks > 0) {
+                keepNewestPerPeriod(candidates, keep, weeksStart, getWeekKey);
+            }
+            break;
+        }
+        case RETENTION_POLICIES.MAX_AGE: {
+            keep.clear();
+            const since = new Date(now.getTime() - (policy.maxAgeDays || 0) * DAY_MS);
+            for (const file of candidates) {
+                if (parseTimestamp(file.parsed.timestamp) >= since) {
+                    keep.add(file);
+                }
+            }
+            if (candidates.length > 0) {
+                keep.add(candidates[0]);
+            }
+            break;
+        }
+        case RETENTION_POLICIES.KEEP_LAST:
+        default:
+            break;
+    }
+
+    return candidates.filter(file => !keep.has(file));
+}
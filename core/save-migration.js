@@ -0,0 +1,176 @@
+import { getCurrentChatId, getPastCharacterChats, saveSettingsDebounced } from "../../../../../script.js";
+import { getContext } from "../../../../extensions.js";
+import { groups } from '../../../../group-chats.js';
+import { t } from '../../../../i18n.js';
+
+import { HttpError } from '../api/http-client.js';
+import { normalizeString, normalizeChatId, normalizeCharacterName, createStableId, isStableId } from '../utils/utils.js';
+import { refreshFileIndex, getFilesList, parseSaveFilename, generateSaveFilename, renameSaveFile } from './file-manager.js';
+import { showToast } from '../ui/ui.js';
+import { getExtensionSettings } from '../settings.js';
+
+/**
+ * Find the only name whose old-style normalization equals the id
+ * @param {string[]} names - Candidate original names
+ * @param {string} legacyId - Id from filename of old save
+ * @returns {string|null} Original name or null if no name or several names match (names collided in the old scheme)
+ */
+function resolveLegacyName(names, legacyId) {
+    const matches = [...new Set(names.filter(name => normalizeString(name) === legacyId))];
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Check if id from save filename is already in the new scheme
+ * An old normalized name can look like a stable id, so the id only counts as new if it round-trips from
+ * the original name in metadata, or from a known name. Ids no known name produces in either scheme can't be
+ * matched anyway and are left as they are
+ * @param {string} id - Chat id or character id from filename
+ * @param {string[]} names - Known original names
+ * @param {string|null} originalName - Original name from save metadata
+ * @returns {boolean}
+ */
+function isMigratedId(id, names, originalName) {
+    if (!isStableId(id)) {
+        return false;
+    }
+    if (originalName) {
+        return createStableId(originalName) === id;
+    }
+    return names.some(name => createStableId(name) === id) || !names.some(name => normalizeString(name) === id);
+}
+
+/**
+ * Collect names that old saves can be matched against: all characters and all their chats, including past ones
+ * @returns {Promise<{characterNames: string[], chatNames: string[]}>}
+ * @throws {Error} If chat list of a character can't be loaded (its old saves would be left unmatched)
+ */
+async function collectKnownNames() {
+    const context = getContext();
+    const characters = context?.characters || [];
+    const characterNames = [];
+    const chatNames = [getCurrentChatId()];
+
+    for (let characterId = 0; characterId < characters.length; characterId++) {
+        const character = characters[characterId];
+        if (!character) {
+            continue;
+        }
+        characterNames.push(character.name);
+        chatNames.push(character.chat);
+
+        const pastChats = await getPastCharacterChats(characterId);
+        if (!Array.isArray(pastChats)) {
+            throw new Error(`Failed to get chats of ${character.name}`);
+        }
+        for (const chat of pastChats) {
+            chatNames.push(String(chat?.file_name || '').replace(/\.jsonl$/, ''));
+        }
+    }
+
+    for (const group of groups || []) {
+        chatNames.push(...(group?.chats || []));
+    }
+
+    return {
+        characterNames: characterNames.filter(name => name && typeof name === 'string'),
+        chatNames: chatNames.filter(name => name && typeof name === 'string')
+    };
+}
+
+/**
+ * Rename saves made before stable ids to the new naming scheme
+ * Original names are taken from save metadata or, for saves without it, from characters and chats whose
+ * old normalized name matches, so it must run after characters and chats are loaded (APP_READY).
+ * Saves that can't be matched unambiguously keep their names and are still listed in the load popup,
+ * but autoload and rotation no longer see them. Migration is repeated on every start until the save directory
+ * was listed and no save was left unmatched: a character imported later may resolve the rest
+ * @returns {Promise<void>}
+ */
+export async function migrateLegacySaveNames() {
+    const extensionSettings = getExtensionSettings();
+    if (extensionSettings.saveNamesMigrated) {
+        return;
+    }
+
+    try {
+        await refreshFileIndex();
+    } catch (e) {
+        console.warn('[KV Cache Manager] Could not list saves, migration of save names postponed:', e);
+        return;
+    }
+
+    let knownNames;
+    try {
+        knownNames = await collectKnownNames();
+    } catch (e) {
+        console.warn('[KV Cache Manager] Could not list chats, migration of save names postponed:', e);
+        return;
+    }
+    const { characterNames, chatNames } = knownNames;
+
+    const filesList = await getFilesList();
+
+    let renamedCount = 0;
+    let unresolvedCount = 0;
+
+    for (const file of filesList) {
+        const parsed = parseSaveFilename(file.name);
+        if (!parsed) {
+            continue;
+        }
+
+        const chatIsStable = parsed.chatId === 'unknown' || isMigratedId(parsed.chatId, chatNames, file.metadata?.chatName);
+        const characterIsStable = isMigratedId(parsed.characterName, characterNames, file.metadata?.characterName);
+        if (chatIsStable && characterIsStable) {
+            continue;
+        }
+
+        const characterName = characterIsStable ? null : (file.metadata?.characterName ?? resolveLegacyName(characterNames, parsed.characterName));
+        const chatName = chatIsStable ? null : (file.metadata?.chatName ?? resolveLegacyName(chatNames, parsed.chatId));
+
+        if ((!characterIsStable && !characterName) || (!chatIsStable && !chatName)) {
+            unresolvedCount++;
+            continue;
+        }
+
+        const newFilename = generateSaveFilename(
+            chatIsStable ? parsed.chatId : normalizeChatId(chatName),
+            parsed.timestamp,
+            characterIsStable ? parsed.characterName : normalizeCharacterName(characterName),
+            parsed.tag,
+            parsed.modelFingerprint
+        );
+
+        // Keep resolved names, so they don't have to be guessed again
+        const metadata = file.metadata
+            ? { ...file.metadata, characterName: file.metadata.characterName ?? characterName, chatName: file.metadata.chatName ?? chatName }
+            : null;
+
+        try {
+            await renameSaveFile(file.name, newFilename, metadata);
+            renamedCount++;
+        } catch (e) {
+            if (e instanceof HttpError && e.status === 404) {
+                // Plugin can't rename files: try again after it is updated
+                console.warn('[KV Cache Manager] File plugin does not support renaming, migration of save names postponed');
+                return;
+            }
+            console.error(`[KV Cache Manager] Error renaming ${file.name} to ${newFilename}:`, e);
+            unresolvedCount++;
+        }
+    }
+
+    // Warning is shown again only when the number of unmatched saves changes
+    const unresolvedChanged = unresolvedCount !== (extensionSettings.saveNamesUnresolved ?? 0);
+    extensionSettings.saveNamesMigrated = unresolvedCount === 0;
+    extensionSettings.saveNamesUnresolved = unresolvedCount;
+    saveSettingsDebounced();
+
+    if (renamedCount > 0 || unresolvedChanged) {
+        console.info(`[KV Cache Manager] Save names migrated: ${renamedCount} renamed, ${unresolvedCount} kept old names`);
+    }
+    if (unresolvedCount > 0 && unresolvedChanged) {
+        showToast('warning', t`${unresolvedCount} old saves could not be matched to a character or chat and keep their old names. They are still available in the load popup`);
+    }
+}
@@ -0,0 +1,215 @@
+import { saveSettingsDebounced } from "../../../../../script.js";
+
+import { hashString } from '../utils/utils.js';
+import { getBackendAdapter, getServerUrls } from './server-pool.js';
+import { getExtensionSettings } from '../settings.js';
+
+// Capability issue codes, rendered as guided fixes in the settings panel
+export const CAPABILITY_ISSUES = {
+    OFFLINE: 'offline',
+    LOADING: 'loading',
+    NO_SLOTS_ENDPOINT: 'no-slots-endpoint',
+    NO_SLOT_SAVE: 'no-slot-save'
+};
+
+const capabilitiesByServer = new Map();
+
+/**
+ * Create capabilities object for server that was not probed or is unreachable
+ * @param {string} serverUrl - Server URL
+ * @returns {Object} Capabilities
+ */
+function createUnknownCapabilities(serverUrl) {
+    return {
+        serverUrl: serverUrl,
+        online: false,
+        ready: false,
+        slotsCount: 0,
+        nCtx: null,
+        modelPath: null,
+        modelHash: null,
+        modelFingerprint: null,
+        slotsEndpoint: false,
+        slotSave: false,
+        issues: [],
+        probedAt: null
+    };
+}
+
+/**
+ * Get file name of model from its path
+ * @param {string} modelPath - Model path reported by server
+ * @returns {string} File name
+ */
+export function getModelName(modelPath) {
+    return String(modelPath || '').split(/[\\/]/).pop();
+}
+
+/**
+ * Build model fingerprint stored in save filenames
+ * Uses model file name (not the full path) so the same model stored in different
+ * directories on different machines has the same fingerprint
+ * @param {string|null} modelPath - Model path from /props
+ * @param {string|null} modelHash - Model hash from /props (if server reports it)
+ * @returns {string|null} 8-character fingerprint or null if model is unknown
+ */
+export function getModelFingerprint(modelPath, modelHash = null) {
+    const modelName = getModelName(modelPath);
+    if (!modelName && !modelHash) {
+        return null;
+    }
+    return hashString(`${modelName}|${modelHash || ''}`).slice(-8);
+}
+
+/**
+ * Remember model identity for fingerprint, so saves of models that are no longer loaded can be explained
+ * @param {string} fingerprint - Model fingerprint
+ * @param {Object} capabilities - Server capabilities with model info
+ */
+function rememberModel(fingerprint, capabilities) {
+    const extensionSettings = getExtensionSettings();
+    if (!extensionSettings.knownModels) {
+        extensionSettings.knownModels = {};
+    }
+    
+    const known = extensionSettings.knownModels[fingerprint];
+    if (known && known.modelPath === capabilities.modelPath && known.nCtx === capabilities.nCtx && known.modelHash === capabilities.modelHash) {
+        return;
+    }
+    
+    extensionSettings.knownModels[fingerprint] = {
+        modelPath: capabilities.modelPath,
+        modelHash: capabilities.modelHash,
+        nCtx: capabilities.nCtx
+    };
+    saveSettingsDebounced();
+}
+
+/**
+ * Get model info for fingerprint
+ * @param {string} fingerprint - Model fingerprint
+ * @returns {{modelPath: string, modelHash: string|null, nCtx: number|null}|null} Model info or null if unknown
+ */
+export function getKnownModel(fingerprint) {
+    return getExtensionSettings().knownModels?.[fingerprint] ?? null;
+}
+
+/**
+ * Get human-readable model name for fingerprint
+ * @param {string} fingerprint - Model fingerprint
+ * @returns {string} Model file name or fingerprint if model is unknown
+ */
+export function getModelDisplayName(fingerprint) {
+    const known = getKnownModel(fingerprint);
+    return known?.modelPath ? getModelName(known.modelPath) : fingerprint;
+}
+
+/**
+ * Probe server features through its backend adapter
+ * @param {string} serverUrl - Server URL
+ * @returns {Promise<Object>} Capabilities: { serverUrl, online, ready, slotsCount, nCtx, modelPath, modelHash, modelFingerprint, slotsEndpoint, slotSave, issues, probedAt }
+ */
+export async function probeServer(serverUrl) {
+    const capabilities = createUnknownCapabilities(serverUrl);
+    capabilities.probedAt = Date.now();
+
+    try {
+        Object.assign(capabilities, await getBackendAdapter(serverUrl).getCapabilities());
+    } catch (e) {
+        console.warn(`[KV Cache Manager] Failed to probe ${serverUrl}:`, e.message);
+    }
+
+    if (!capabilities.online) {
+        capabilities.issues.push(CAPABILITY_ISSUES.OFFLINE);
+        capabilitiesByServer.set(serverUrl, capabilities);
+        return capabilities;
+    }
+
+    if (!capabilities.ready) {
+        capabilities.issues.push(CAPABILITY_ISSUES.LOADING);
+    }
+
+    if (!capabilities.slotsEndpoint) {
+        capabilities.issues.push(CAPABILITY_ISSUES.NO_SLOTS_ENDPOINT);
+    }
+
+    if (!capabilities.slotSave) {
+        capabilities.issues.push(CAPABILITY_ISSUES.NO_SLOT_SAVE);
+    }
+    
+    capabilities.modelFingerprint = getModelFingerprint(capabilities.modelPath, capabilities.modelHash);
+    if (capabilities.modelFingerprint) {
+        rememberModel(capabilities.modelFingerprint, capabilities);
+    }
+
+    capabilitiesByServer.set(serverUrl, capabilities);
+    return capabilities;
+}
+
+/**
+ * Probe all servers in the pool
+ * @returns {Promise<Object[]>} Capabilities of each server
+ */
+export async function probeAllServers() {
+    const results = [];
+    for (const serverUrl of getServerUrls()) {
+        results.push(await probeServer(serverUrl));
+    }
+    return results;
+}
+
+/**
+ * Get last probe result for server
+ * @param {string} serverUrl - Server URL
+ * @returns {Object} Capabilities (all features disabled if server was not probed)
+ */
+export function getServerCapabilities(serverUrl) {
+    return capabilitiesByServer.get(serverUrl) || createUnknownCapabilities(serverUrl);
+}
+
+/**
+ * Check if caches can be saved and restored on server
+ * @param {string} serverUrl - Server URL
+ * @returns {boolean}
+ */
+export function isSlotSaveSupported(serverUrl) {
+    return getServerCapabilities(serverUrl).slotSave;
+}
+
+/**
+ * Get fingerprints of models loaded on servers in the pool
+ * @returns {Set<string>}
+ */
+export function getPoolModelFingerprints() {
+    const fingerprints = new Set();
+    for (const serverUrl of getServerUrls()) {
+        const fingerprint = getServerCapabilities(serverUrl).modelFingerprint;
+        if (fingerprint) {
+            fingerprints.add(fingerprint);
+        }
+    }
+    return fingerprints;
+}
+
+/**
+ * Check if save made with model can be restored on server
+ * Saves without fingerprint (made before fingerprints were recorded) and servers with unknown model are not rejected
+ * @param {string|null} saveFingerprint - Model fingerprint of save
+ * @param {string} serverUrl - Server URL
+ * @returns {boolean}
+ */
+export function isModelCompatible(saveFingerprint, serverUrl) {
+    const serverFingerprint = getServerCapabilities(serverUrl).modelFingerprint;
+    if (!saveFingerprint || !serverFingerprint) {
+        return true;
+    }
+    return saveFingerprint === serverFingerprint;
+}
+
+/**
+ * Check if at least one server in the pool can save and restore caches
+ * @returns {boolean}
+ */
+export function isSlotSaveAvailable() {
+    return getServerUrls().some(serverUrl => isSlotSaveSupported(serverUrl));
+}
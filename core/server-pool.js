@@ -0,0 +1,88 @@
+import { textgen_types, textgenerationwebui_settings } from '../../../../textgen-settings.js';
+
+import { createBackendAdapter, DEFAULT_BACKEND_TYPE } from '../api/backend-registry.js';
+import { getExtensionSettings } from '../settings.js';
+
+// One backend adapter per server URL
+const backendAdapters = new Map();
+const connectionListeners = [];
+
+/**
+ * Subscribe to server connection changes (server went offline or came back online)
+ * @param {function(string, boolean): void} listener - Called with server URL and online flag
+ */
+export function onServerConnectionChange(listener) {
+    connectionListeners.push(listener);
+}
+
+/**
+ * Get llama.cpp server URL configured in SillyTavern
+ * @returns {string} Server URL
+ */
+export function getDefaultServerUrl() {
+    return textgenerationwebui_settings.server_urls[textgen_types.LLAMACPP];
+}
+
+/**
+ * Parse server list from settings (one URL per line, commas are also accepted)
+ * @param {string} value - Raw value from settings
+ * @returns {string[]} Unique server URLs without trailing slashes
+ */
+export function parseServerUrls(value) {
+    if (!value || typeof value !== 'string') {
+        return [];
+    }
+
+    const urls = value
+        .split(/[\n,]/)
+        .map(url => url.trim().replace(/\/+$/, ''))
+        .filter(url => url.length > 0);
+
+    return [...new Set(urls)];
+}
+
+/**
+ * Get server pool
+ * If no servers are configured in extension settings, SillyTavern's llama.cpp server is used
+ * @returns {string[]} Server URLs
+ */
+export function getServerUrls() {
+    const extensionSettings = getExtensionSettings();
+    const configuredUrls = parseServerUrls(extensionSettings.serverUrls);
+
+    if (configuredUrls.length > 0) {
+        return configuredUrls;
+    }
+
+    const defaultUrl = getDefaultServerUrl();
+    return defaultUrl ? [defaultUrl.replace(/\/+$/, '')] : [];
+}
+
+export function isMultiServerPool() {
+    return getServerUrls().length > 1;
+}
+
+/**
+ * Get backend adapter for server
+ * Adapter type is selected in extension settings
+ * @param {string} serverUrl - Server URL
+ * @returns {BackendAdapter} Adapter bound to the server
+ */
+export function getBackendAdapter(serverUrl) {
+    if (!backendAdapters.has(serverUrl)) {
+        const backendType = getExtensionSettings().backendType || DEFAULT_BACKEND_TYPE;
+        backendAdapters.set(serverUrl, createBackendAdapter(backendType, serverUrl, {
+            onConnectionChange: (online) => {
+                connectionListeners.forEach(listener => listener(serverUrl, online));
+            }
+        }));
+    }
+    return backendAdapters.get(serverUrl);
+}
+
+/**
+ * Drop adapters of all servers, so the next request creates adapters of the currently selected backend type
+ */
+export function resetBackendAdapters() {
+    backendAdapters.clear();
+}
@@ -2,17 +2,33 @@ import { getContext } from "../../../../extensions.js";
 import { getGroupMembers } from '../../../../group-chats.js';
 import { t } from '../../../../i18n.js';
 
-import LlamaApi from '../api/llama-api.js';
-import { normalizeCharacterName, getNormalizedChatId } from '../utils/utils.js';
-import { showToast } from '../ui/ui.js';
+import { AuthError } from '../api/http-client.js';
+import { CircuitOpenError } from '../api/circuit-breaker.js';
+import { normalizeCharacterName, getNormalizedChatId, escapeHtml } from '../utils/utils.js';
+import { showToast, updateFeatureAvailability } from '../ui/ui.js';
 import { saveCharacterCache, saveAllSlotsCache, clearAllSlotsCache } from './cache-operations.js';
-import { getExtensionSettings } from '../settings.js';
-
-const llamaApi = new LlamaApi();
+import { OPERATION_PRIORITY } from './operation-queue.js';
+import { getSaveCountdown, SAVE_TRIGGERS } from './auto-save.js';
+import { getServerUrls, getBackendAdapter, isMultiServerPool } from './server-pool.js';
+import { probeAllServers, probeServer, isSlotSaveSupported, getServerCapabilities } from './server-capabilities.js';
+import { writeSlotsSnapshot, readSlotsSnapshot, isSnapshotSlotWarm } from './slot-persistence.js';
+import { getHistoryHashes, isAnchorInHistory } from './message-anchors.js';
+import { selectSlotToEvict, getEvictionPolicy } from './eviction.js';
+import { getExtensionSettings, EVICTION_LFU_WINDOW_MS } from '../settings.js';
 
+// Flat list of slots across all servers in the pool, each slot knows its server and server-local id.
+// Indices are held by the interceptor and queued operations, so they stay put until slots are initialized again:
+// slots a server no longer has are left without server (see refreshServerSlots)
 let slotsState = [];
 let previousChatId = 'unknown';
 
+let slotsPollTimer = null;
+let isSlotsListUpdating = false;
+
+// Chat of slots restored after page reload, and whether their history still has to be checked against it
+let restoredChatId = null;
+let restoredSlotsUnchecked = false;
+
 export function getSlotsState() {
     return slotsState;
 }
@@ -26,47 +42,348 @@ export function getSlotsCountFromData(slotsData) {
     return 0;
 }
 
-export async function getAllSlotsInfo() {
+/**
+ * Get slot information from server
+ * @param {string} serverUrl - Server URL
+ * @param {Object} options - Options
+ * @param {boolean} options.silent - Do not show toasts on errors (for background polling)
+ * @returns {Promise<Array|null>} Slot states reported by the backend adapter or null on error
+ */
+export async function getAllSlotsInfo(serverUrl, options = {}) {
     try {
-        const slotsData = await llamaApi.getSlots();
-        return slotsData;
+        return await getBackendAdapter(serverUrl).listSlots();
     } catch (e) {
-        console.error('[KV Cache Manager] Error getting slot information:', e);
+        if (e instanceof CircuitOpenError) {
+            // Offline state is shown in the slot list, no toast for every refresh
+            return null;
+        }
+        console.error(`[KV Cache Manager] Error getting slot information from ${serverUrl}:`, e);
+        if (options.silent) {
+            return null;
+        }
+        if (e instanceof AuthError) {
+            showToast('error', t`Authentication failed on ${serverUrl}. Check the API key in extension settings`);
+            return null;
+        }
         const errorMessage = e.message || String(e);
         showToast('error', t`Error getting slot information: ${errorMessage}`);
         return null;
     }
 }
 
+/**
+ * Find live state of slot in slot list of its server
+ * @param {Array|null} slots - Result of getAllSlotsInfo
+ * @param {number} slotId - Server-local slot id
+ * @returns {{id: number, nPast: number|null, nCtx: number|null, isProcessing: boolean, taskId: number|null, prompt: string|null}|null} Telemetry or null if slot is not reported
+ */
+export function getSlotTelemetry(slots, slotId) {
+    if (!Array.isArray(slots) || slotId === null || slotId === undefined) {
+        return null;
+    }
+    return slots.find(item => item.id === slotId) ?? null;
+}
+
+/**
+ * Render live slot state for slot list
+ * @param {Object|null} telemetry - Result of getSlotTelemetry
+ * @returns {string} HTML
+ */
+function renderSlotTelemetry(telemetry) {
+    if (!telemetry) {
+        return '';
+    }
+    
+    const parts = [];
+    
+    if (telemetry.isProcessing) {
+        parts.push(`<span class="kv-cache-slot-processing" title="${t`Processing`}"><i class="fa-solid fa-spinner fa-spin"></i></span>`);
+    } else {
+        parts.push(`<span class="kv-cache-slot-idle" title="${t`Idle`}"><i class="fa-regular fa-circle"></i></span>`);
+    }
+    
+    if (telemetry.nPast !== null && telemetry.nCtx) {
+        const percent = Math.min(100, Math.round(telemetry.nPast / telemetry.nCtx * 100));
+        parts.push(`<span title="${t`Cached tokens / context size`}">${telemetry.nPast} / ${telemetry.nCtx} (${percent}%)</span>`);
+    } else if (telemetry.nCtx) {
+        parts.push(`<span title="${t`Context size`}">n_ctx: ${telemetry.nCtx}</span>`);
+    }
+    
+    if (telemetry.taskId !== null) {
+        parts.push(`<span title="${t`Last task id`}">${t`task #${telemetry.taskId}`}</span>`);
+    }
+    
+    return `<span class="kv-cache-slot-telemetry">${parts.join(' ')}</span>`;
+}
+
+/**
+ * Render what is left until autosave of slot, per enabled trigger
+ * @param {Object} slot - Slot from slotsState
+ * @param {Object|null} telemetry - Result of getSlotTelemetry
+ * @returns {string} HTML
+ */
+function renderSaveCountdown(slot, telemetry) {
+    const countdown = getSaveCountdown(slot, telemetry);
+    const tokensUnavailable = countdown.some(({ remaining }) => remaining === null);
+    const parts = countdown.filter(({ remaining }) => remaining !== null).map(({ trigger, remaining }) => {
+        switch (trigger) {
+            case SAVE_TRIGGERS.MESSAGES:
+                return t`${remaining} msg`;
+            case SAVE_TRIGGERS.TOKENS:
+                return t`${remaining} tokens`;
+            case SAVE_TRIGGERS.TIME:
+                return t`${Math.ceil(remaining / 60000)} min`;
+            default:
+                return t`idle ${Math.ceil(remaining / 1000)}s`;
+        }
+    });
+    
+    let html = '';
+    
+    if (parts.length > 0) {
+        html += `<span class="kv-cache-slot-countdown" title="${t`Until next autosave`}">${t`autosave in ${parts.join(', ')}`}</span>`;
+    }
+    
+    if (tokensUnavailable) {
+        html += `<span class="kv-cache-slot-countdown" title="${t`The server doesn't report cached tokens of its slots, so saving every N new tokens doesn't work with it`}"><i class="fa-solid fa-triangle-exclamation"></i> ${t`token trigger unavailable`}</span>`;
+    }
+    
+    return html;
+}
+
 /**
  * Create slot object with character
  * @param {string} characterName - Normalized character name
+ * @param {{serverUrl: string, slotId: number}} location - Server and server-local slot id
  * @returns {Object} Slot object
  */
-export function createSlotWithCharacter(characterName) {
+export function createSlotWithCharacter(characterName, location = {}) {
     return {
+        serverUrl: location.serverUrl ?? null,
+        slotId: location.slotId ?? null,
         characterName: characterName,
         usage: 0,
         cacheLoaded: false,
-        generationType: null
+        generationType: null,
+        // Fingerprint of prompt the slot's cache was built from, recorded in saves
+        promptFingerprint: null,
+        // Autosave triggers (see core/auto-save.js): cached tokens at last save or load (null - unknown),
+        // time of first message since then and time of last message
+        savedTokens: 0,
+        activeSince: null,
+        lastActivityAt: null,
+        // Last message the slot's cache contains and cached tokens last reported by the server,
+        // used to recognize the cache after page reload (see core/slot-persistence.js)
+        anchor: null,
+        nPast: null,
+        // Eviction (see core/eviction.js): pinned slots are never evicted, generation times feed LRU and LFU
+        pinned: false,
+        lastGeneratedAt: null,
+        generationTimes: []
     };
 }
 
-export function createEmptySlot() {
-    return createSlotWithCharacter(undefined);
+export function createEmptySlot(location = {}) {
+    return createSlotWithCharacter(undefined, location);
+}
+
+/**
+ * Get indices of slots that exist on their server, in pool order
+ * Slots of a server that came back with more slots may be appended after other servers' slots
+ * @returns {number[]} Slot indices in slotsState
+ */
+export function getAvailableSlotIndices() {
+    const serverUrls = getServerUrls();
+    return slotsState
+        .map((slot, index) => index)
+        .filter(index => slotsState[index]?.serverUrl)
+        .sort((a, b) => serverUrls.indexOf(slotsState[a].serverUrl) - serverUrls.indexOf(slotsState[b].serverUrl)
+            || slotsState[a].slotId - slotsState[b].slotId);
+}
+
+/**
+ * Get server and server-local slot id for slot
+ * @param {number} slotIndex - Slot index in slotsState
+ * @returns {{serverUrl: string, slotId: number}|null} Slot location or null if slot doesn't exist
+ */
+export function getSlotLocation(slotIndex) {
+    const slot = slotsState[slotIndex];
+    if (!slot || !slot.serverUrl) {
+        return null;
+    }
+    return { serverUrl: slot.serverUrl, slotId: slot.slotId };
+}
+
+/**
+ * Create empty slots of server from probed capabilities
+ * Unreachable servers get no slots until they come back online
+ * @param {Object} capabilities - Server capabilities from probeServer()
+ * @returns {Object[]} Slot objects
+ */
+function createServerSlots(capabilities) {
+    const slots = [];
+    for (let slotId = 0; slotId < capabilities.slotsCount; slotId++) {
+        slots.push(createEmptySlot({ serverUrl: capabilities.serverUrl, slotId }));
+    }
+    return slots;
+}
+
+/**
+ * Put characters back into slots from the slot map remembered before page reload
+ * Slots whose server still holds the same cache keep usage and loaded state, so the next generation doesn't
+ * restore a cache that is already there. The others keep their character but start cold
+ * Servers with another model loaded since are skipped
+ * @returns {Promise<number>} Number of warm slots
+ */
+async function restoreSlotsFromSnapshot() {
+    const snapshot = readSlotsSnapshot();
+    if (!snapshot) {
+        return 0;
+    }
+    
+    let restoredCount = 0;
+    let warmCount = 0;
+    
+    for (const [serverUrl, server] of Object.entries(snapshot.servers)) {
+        if (!Array.isArray(server?.slots) || server.slots.length === 0
+            || server.modelFingerprint !== (getServerCapabilities(serverUrl).modelFingerprint ?? null)) {
+            continue;
+        }
+        
+        const slotsData = await getAllSlotsInfo(serverUrl, { silent: true });
+        
+        for (const entry of server.slots) {
+            const index = slotsState.findIndex(slot => slot.serverUrl === serverUrl && slot.slotId === entry.slotId);
+            if (index === -1 || !entry.characterName || findCharacterSlotIndex(entry.characterName) !== null) {
+                continue;
+            }
+            
+            const slot = createSlotWithCharacter(entry.characterName, slotsState[index]);
+            // Pin is the user's choice, it doesn't depend on the cache
+            slot.pinned = Boolean(entry.pinned);
+            slot.lastGeneratedAt = entry.lastGeneratedAt ?? null;
+            if (isSnapshotSlotWarm(entry, getSlotTelemetry(slotsData, entry.slotId))) {
+                slot.usage = entry.usage;
+                slot.cacheLoaded = entry.cacheLoaded;
+                slot.savedTokens = entry.savedTokens;
+                slot.promptFingerprint = entry.promptFingerprint;
+                slot.anchor = entry.anchor;
+                slot.nPast = entry.nPast;
+                warmCount++;
+            }
+            slotsState[index] = slot;
+            restoredCount++;
+        }
+    }
+    
+    if (restoredCount > 0) {
+        restoredChatId = snapshot.chatId || null;
+        restoredSlotsUnchecked = warmCount > 0;
+        console.info(`[KV Cache Manager] Slots restored after reload: ${restoredCount}, still warm on the server: ${warmCount}`);
+    }
+    
+    return warmCount;
+}
+
+/**
+ * Drop loaded state of restored slots whose cache holds messages the chat no longer has
+ * (the chat was edited in another tab while this one was closed)
+ */
+function checkRestoredSlotsHistory() {
+    const historyHashes = getHistoryHashes(getContext()?.chat);
+    for (const slot of slotsState) {
+        if (slot?.cacheLoaded && slot.anchor && !isAnchorInHistory(slot.anchor, historyHashes)) {
+            slot.cacheLoaded = false;
+        }
+    }
+}
+
+function persistSlots() {
+    // No slots before initialization or while all servers are unreachable: keep the map for later
+    if (slotsState.length === 0) {
+        return;
+    }
+    writeSlotsSnapshot(slotsState, previousChatId);
+}
+
+/**
+ * Save caches of characters in slots and remember the slot map before slots are initialized again
+ * (after the server list, API key or backend changed). Must run while the old settings still apply,
+ * initializeSlots then puts the characters back into slots that still exist
+ */
+export async function saveSlotsBeforeReset() {
+    await saveAllSlotsCache();
+    persistSlots();
 }
 
 export async function initializeSlots() {
-    const slotsData = await getAllSlotsInfo();
-    const totalSlots = slotsData ? getSlotsCountFromData(slotsData) : 4;
+    const serverCapabilities = await probeAllServers();
     
     slotsState = [];
     
-    for (let i = 0; i < totalSlots; i++) {
-        slotsState[i] = createEmptySlot();
+    for (const capabilities of serverCapabilities) {
+        slotsState.push(...createServerSlots(capabilities));
+    }
+    
+    await restoreSlotsFromSnapshot();
+    
+    updateSlotsList();
+    updateFeatureAvailability();
+}
+
+/**
+ * Probe server again and update its slots in place (on reconnect)
+ * Slots keep their characters and pins, and keep their cache state if the server still holds it. Slots the server
+ * no longer has are left without server, new ones take such entries or are appended, so no other slot changes index
+ * @param {string} serverUrl - Server URL
+ */
+export async function refreshServerSlots(serverUrl) {
+    const previousModelFingerprint = getServerCapabilities(serverUrl).modelFingerprint ?? null;
+    const capabilities = await probeServer(serverUrl);
+    
+    if (capabilities.online) {
+        const modelChanged = (capabilities.modelFingerprint ?? null) !== previousModelFingerprint;
+        const slotsData = await getAllSlotsInfo(serverUrl, { silent: true });
+        const presentSlotIds = new Set();
+        
+        for (let i = 0; i < slotsState.length; i++) {
+            const slot = slotsState[i];
+            if (slot?.serverUrl !== serverUrl) {
+                continue;
+            }
+            
+            if (slot.slotId >= capabilities.slotsCount) {
+                slotsState[i] = createEmptySlot();
+                continue;
+            }
+            
+            presentSlotIds.add(slot.slotId);
+            // Server restarted or loaded another model: the character stays, its cache has to be restored again
+            if (slot.characterName && (modelChanged || !isSnapshotSlotWarm(slot, getSlotTelemetry(slotsData, slot.slotId)))) {
+                const coldSlot = createSlotWithCharacter(slot.characterName, slot);
+                coldSlot.pinned = slot.pinned;
+                coldSlot.lastGeneratedAt = slot.lastGeneratedAt;
+                coldSlot.generationTimes = slot.generationTimes;
+                slotsState[i] = coldSlot;
+            }
+        }
+        
+        for (let slotId = 0; slotId < capabilities.slotsCount; slotId++) {
+            if (presentSlotIds.has(slotId)) {
+                continue;
+            }
+            const slot = createEmptySlot({ serverUrl, slotId });
+            const unusedIndex = slotsState.findIndex(item => !item?.serverUrl);
+            if (unusedIndex !== -1) {
+                slotsState[unusedIndex] = slot;
+            } else {
+                slotsState.push(slot);
+            }
+        }
     }
     
     updateSlotsList();
+    updateFeatureAvailability();
 }
 
 export function getNormalizedChatCharacters() {
@@ -118,7 +435,7 @@ export async function assignCharactersToSlots() {
     
     // Clear all slots completely (save should have occurred before calling this function)
     for (let i = 0; i < totalSlots; i++) {
-        slotsState[i] = createEmptySlot();
+        slotsState[i] = createEmptySlot(slotsState[i]);
     }
     
     if (chatCharacters.length === 0) {
@@ -128,8 +445,9 @@ export async function assignCharactersToSlots() {
     
     // Assign characters to slots by index until either slots or characters run out
     // Names are already normalized from getNormalizedChatCharacters()
-    for (let i = 0; i < totalSlots && i < chatCharacters.length; i++) {
-        slotsState[i] = createSlotWithCharacter(chatCharacters[i]);
+    const availableIndices = getAvailableSlotIndices();
+    for (let i = 0; i < availableIndices.length && i < chatCharacters.length; i++) {
+        slotsState[availableIndices[i]] = createSlotWithCharacter(chatCharacters[i], slotsState[availableIndices[i]]);
     }
     
     updateSlotsList();
@@ -152,6 +470,7 @@ export function findCharacterSlotIndex(characterName) {
 
 /**
  * Get slot for character
+ * Slots of all servers in the pool are treated as one list
  * 1. If character is already in slot - return that slot
  * 2. If not - find empty slot, return it
  * 3. If no empty slots - evict slot with least usage and return it
@@ -170,40 +489,28 @@ export async function acquireSlot(characterName, minUsageForSave = 1, protectedC
         return existingIndex;
     }
     
-    const freeSlotIndex = slotsState.findIndex(slot => !slot?.characterName);
+    const freeSlotIndex = slotsState.findIndex(slot => slot?.serverUrl && !slot.characterName);
     if (freeSlotIndex !== -1) {
         // Usage counter always starts at 0, counter management is outside this function
-        slotsState[freeSlotIndex] = createSlotWithCharacter(characterName);
+        slotsState[freeSlotIndex] = createSlotWithCharacter(characterName, slotsState[freeSlotIndex]);
         updateSlotsList();
         return freeSlotIndex;
     }
     
-    // Find slot with lowest usage and evict it
-    // Skip protected characters if specified
-    let minUsage = Infinity;
-    let minUsageIndex = -1;
-    
-    for (let i = 0; i < slotsState.length; i++) {
-        const slot = slotsState[i];
-        const slotCharacterName = slot?.characterName;
-        
-        if (protectedCharacters && slotCharacterName && protectedCharacters.has(slotCharacterName)) {
-            continue;
-        }
-        
-        const currentUsage = slot?.usage || 0;
-        if (currentUsage < minUsage) {
-            minUsage = currentUsage;
-            minUsageIndex = i;
-        }
-    }
+    // Evict slot chosen by the eviction policy from settings
+    // Skip pinned slots and protected characters if specified
+    const policy = getEvictionPolicy();
+    const eviction = selectSlotToEvict(slotsState, protectedCharacters, policy);
     
-    if (minUsageIndex === -1) {
-        console.warn('[KV Cache Manager] Failed to find slot for character (possibly all slots are occupied by protected characters)');
+    if (eviction === null) {
+        console.warn('[KV Cache Manager] Failed to find slot for character (possibly all slots are pinned or occupied by protected characters)');
         return null;
     }
     
-    const evictedSlot = slotsState[minUsageIndex];
+    const evictedIndex = eviction.index;
+    console.info(`[KV Cache Manager] Slot ${evictedIndex} (${slotsState[evictedIndex]?.characterName}) given to ${characterName} by ${policy} policy: ${eviction.reason}`);
+    
+    const evictedSlot = slotsState[evictedIndex];
     const evictedCharacter = evictedSlot?.characterName;
     
     if (evictedCharacter && typeof evictedCharacter === 'string') {
@@ -211,32 +518,52 @@ export async function acquireSlot(characterName, minUsageForSave = 1, protectedC
         
         // Save cache before eviction only if character used slot at least N times
         if (usageCount >= minUsageForSave) {
-            await saveCharacterCache(evictedCharacter, minUsageIndex);
+            await saveCharacterCache(evictedCharacter, evictedIndex, { priority: OPERATION_PRIORITY.EVICTION });
         }
     }
     
     // Usage counter always starts at 0, counter management is outside this function
-    slotsState[minUsageIndex] = createSlotWithCharacter(characterName);
+    slotsState[evictedIndex] = createSlotWithCharacter(characterName, slotsState[evictedIndex]);
     
     updateSlotsList();
     
-    return minUsageIndex;
+    return evictedIndex;
 }
 
-export async function updateSlotsList() {
+/**
+ * Render slot list with live state of each slot
+ * @param {Object} options - Options
+ * @param {boolean} options.silent - Do not show toasts on errors (for background polling)
+ */
+export async function updateSlotsList(options = {}) {
     const slotsListElement = $("#kv-cache-slots-list");
     if (slotsListElement.length === 0) {
         return;
     }
     
+    isSlotsListUpdating = true;
+    
     try {
-        const slotsData = await getAllSlotsInfo();
-        const totalSlots = slotsData ? getSlotsCountFromData(slotsData) : 0;
+        const serverUrls = getServerUrls();
+        const showServers = isMultiServerPool();
+        const offlineServers = new Set();
+        const slotsDataByServer = new Map();
+        let totalSlots = 0;
+        
+        for (const serverUrl of serverUrls) {
+            const slotsData = await getAllSlotsInfo(serverUrl, { silent: options.silent });
+            slotsDataByServer.set(serverUrl, slotsData);
+            totalSlots += slotsData ? getSlotsCountFromData(slotsData) : 0;
+            if (getBackendAdapter(serverUrl).isOffline()) {
+                offlineServers.add(serverUrl);
+            }
+        }
         
         let html = '<ul style="margin: 5px 0; padding-left: 0px;">';
         let usedCount = 0;
+        let previousServerUrl = null;
         
-        for (let i = 0; i < slotsState.length; i++) {
+        for (const i of getAvailableSlotIndices()) {
             const slot = slotsState[i];
             const characterName = slot?.characterName;
             const isUsed = characterName && typeof characterName === 'string';
@@ -245,9 +572,22 @@ export async function updateSlotsList() {
                 usedCount++;
             }
             
+            if ((showServers || offlineServers.has(slot?.serverUrl)) && slot?.serverUrl !== previousServerUrl) {
+                previousServerUrl = slot?.serverUrl;
+                html += `<li class="kv-cache-server-header" style="margin: 6px 0 3px; font-size: 0.85em; color: var(--SmartThemeBodyColor, #888);">`;
+                html += `<i class="fa-solid fa-server" style="margin-right: 5px;"></i>${escapeHtml(previousServerUrl)}`;
+                if (offlineServers.has(previousServerUrl)) {
+                    const retryInSeconds = Math.ceil(getBackendAdapter(previousServerUrl).getOfflineRetryInMs() / 1000);
+                    html += ` <span class="kv-cache-server-offline">${t`server offline (next check in ${retryInSeconds}s)`}</span>`;
+                }
+                html += `</li>`;
+            }
+            
+            const slotLabel = slot?.slotId ?? i;
+            
             html += `<li style="margin: 3px 0; display: flex; align-items: center; gap: 5px;">`;
             
-            if (isUsed) {
+            if (isUsed && isSlotSaveSupported(slot.serverUrl)) {
                 const saveTitle = t`Save cache for ${characterName}`;
                 html += `<button class="kv-cache-save-slot-button" data-slot-index="${i}" data-character-name="${characterName}" style="background: none; cursor: pointer; padding: 2px 4px; display: inline-flex; align-items: center; color: var(--SmartThemeBodyColor, #888); margin-left: 0;" title="${saveTitle}">`;
                 html += `<i class="fa-solid fa-floppy-disk" style="font-size: 0.85em;"></i>`;
@@ -256,7 +596,14 @@ export async function updateSlotsList() {
                 html += `<span style="width: 20px; display: inline-block;"></span>`;
             }
             
-            html += `<span>${t`Slot ${i}:`} `;
+            if (isUsed) {
+                const pinTitle = slot.pinned ? t`Unpin slot of ${characterName}` : t`Pin slot of ${characterName}: it is never evicted`;
+                html += `<button class="kv-cache-pin-slot-button${slot.pinned ? ' kv-cache-slot-pinned' : ''}" data-slot-index="${i}" data-character-name="${characterName}" title="${pinTitle}">`;
+                html += `<i class="fa-solid fa-thumbtack" style="font-size: 0.85em;"></i>`;
+                html += `</button>`;
+            }
+            
+            html += `<span>${t`Slot ${slotLabel}:`} `;
             
             if (isUsed) {
                 const messageCount = slot?.usage || 0;
@@ -266,6 +613,17 @@ export async function updateSlotsList() {
                 html += `<span style="color: #888; font-style: italic;">${t`(free)`}</span>`;
             }
             
+            const telemetry = getSlotTelemetry(slotsDataByServer.get(slot?.serverUrl), slot?.slotId);
+            if (isUsed && telemetry) {
+                slot.nPast = telemetry.nPast;
+            }
+            
+            if (isUsed && isSlotSaveSupported(slot.serverUrl) && getExtensionSettings().enabled) {
+                html += renderSaveCountdown(slot, telemetry);
+            }
+            
+            html += renderSlotTelemetry(telemetry);
+            
             html += `</span></li>`;
         }
         
@@ -280,6 +638,46 @@ export async function updateSlotsList() {
         const errorMessage = e.message || 'Unknown error';
         const errorText = t`Error loading slots: ${errorMessage}`;
         slotsListElement.html(`<p style="color: var(--SmartThemeBodyColor, inherit);">${errorText}</p>`);
+    } finally {
+        isSlotsListUpdating = false;
+        // Slot list is refreshed after every change of slots, so the remembered map follows it
+        persistSlots();
+    }
+}
+
+/**
+ * Check if slot list is visible (extension settings drawer is open)
+ * @returns {boolean}
+ */
+function isSlotsListVisible() {
+    return $(".kv-cache-manager-settings .inline-drawer-content").is(":visible");
+}
+
+/**
+ * Start (or restart after settings change) periodic refresh of slot list
+ * Refresh only happens while the settings drawer is open, interval 0 disables polling
+ */
+export function startSlotsPolling() {
+    stopSlotsPolling();
+    
+    const intervalSeconds = parseInt(getExtensionSettings().slotsPollInterval) || 0;
+    if (intervalSeconds <= 0) {
+        return;
+    }
+    
+    slotsPollTimer = setInterval(() => {
+        // Skip tick if previous refresh is still waiting for a slow server
+        if (isSlotsListUpdating || !isSlotsListVisible()) {
+            return;
+        }
+        updateSlotsList({ silent: true });
+    }, intervalSeconds * 1000);
+}
+
+export function stopSlotsPolling() {
+    if (slotsPollTimer) {
+        clearInterval(slotsPollTimer);
+        slotsPollTimer = null;
     }
 }
 
@@ -295,14 +693,54 @@ export function setSlotCacheLoaded(slotIndex, loaded = true) {
     }
 }
 
+export function setSlotPromptFingerprint(slotIndex, promptFingerprint) {
+    if (slotsState[slotIndex]) {
+        slotsState[slotIndex].promptFingerprint = promptFingerprint;
+    }
+}
+
 export function resetSlotUsage(slotIndex) {
     if (slotsState[slotIndex]) {
         slotsState[slotIndex].usage = 0;
+        slotsState[slotIndex].activeSince = null;
+    }
+}
+
+/**
+ * Record generation in slot for LRU and LFU eviction
+ * @param {number} slotIndex - Slot index
+ * @param {number} now - Current time in ms
+ */
+export function markSlotGeneration(slotIndex, now = Date.now()) {
+    const slot = slotsState[slotIndex];
+    if (!slot) {
+        return;
+    }
+    slot.lastGeneratedAt = now;
+    slot.generationTimes = [...(slot.generationTimes || []).filter(time => now - time <= EVICTION_LFU_WINDOW_MS), now];
+}
+
+export function setSlotPinned(slotIndex, pinned) {
+    if (slotsState[slotIndex]) {
+        slotsState[slotIndex].pinned = pinned;
+    }
+}
+
+export function setSlotAnchor(slotIndex, anchor) {
+    if (slotsState[slotIndex]) {
+        slotsState[slotIndex].anchor = anchor;
+    }
+}
+
+export function setSlotSavedTokens(slotIndex, tokens) {
+    if (slotsState[slotIndex]) {
+        slotsState[slotIndex].savedTokens = tokens;
     }
 }
 
 export function initializePreviousChatId() {
-    previousChatId = 'unknown';
+    // Slots restored after page reload belong to the remembered chat: opening it again must not clear them
+    previousChatId = restoredChatId ?? 'unknown';
 }
 
 export async function redistributeCharacters() {
@@ -315,7 +753,14 @@ export async function redistributeCharacters() {
         previousChatId = currentChatId;
     }
     
-    await processChatChange(previousChatIdNormalized, currentChatId, extensionSettings);
+    const slotsCleared = await processChatChange(previousChatIdNormalized, currentChatId, extensionSettings);
+    
+    if (restoredSlotsUnchecked && currentChatId !== 'unknown') {
+        restoredSlotsUnchecked = false;
+        if (!slotsCleared) {
+            checkRestoredSlotsHistory();
+        }
+    }
 }
 
 async function processChatChange(previousChatIdParam, currentChatId, extensionSettings) {
@@ -0,0 +1,80 @@
+import { getServerCapabilities } from './server-capabilities.js';
+import { getPromptPrefixMatch } from './prompt-prefix.js';
+
+// Slot map survives page reloads in browser storage. It is kept per browser rather than in extension settings:
+// settings are shared by all browsers of the user, while each of them fills slots on its own
+const STORAGE_KEY = 'kv_cache-manager.slots';
+
+/**
+ * Remember which character is in which slot of every server
+ * @param {Array<Object>} slotsState - Slots from slot-manager
+ * @param {string} chatId - Normalized ID of chat the slots were filled for
+ */
+export function writeSlotsSnapshot(slotsState, chatId) {
+    const servers = {};
+
+    for (const slot of slotsState) {
+        if (!slot?.serverUrl) {
+            continue;
+        }
+        servers[slot.serverUrl] ??= {
+            modelFingerprint: getServerCapabilities(slot.serverUrl).modelFingerprint ?? null,
+            slots: []
+        };
+        if (!slot.characterName) {
+            continue;
+        }
+        servers[slot.serverUrl].slots.push({
+            slotId: slot.slotId,
+            characterName: slot.characterName,
+            usage: slot.usage || 0,
+            cacheLoaded: Boolean(slot.cacheLoaded),
+            savedTokens: slot.savedTokens ?? null,
+            promptFingerprint: slot.promptFingerprint ?? null,
+            anchor: slot.anchor ?? null,
+            nPast: slot.nPast ?? null,
+            pinned: Boolean(slot.pinned),
+            lastGeneratedAt: slot.lastGeneratedAt ?? null
+        });
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ chatId, servers }));
+    } catch (e) {
+        console.warn('[KV Cache Manager] Failed to remember slots:', e);
+    }
+}
+
+/**
+ * Read slot map remembered before page reload
+ * @returns {{chatId: string, servers: Object}|null} Snapshot or null if there is none
+ */
+export function readSlotsSnapshot() {
+    try {
+        const snapshot = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return snapshot && typeof snapshot === 'object' && snapshot.servers ? snapshot : null;
+    } catch (e) {
+        console.warn('[KV Cache Manager] Failed to read remembered slots:', e);
+        return null;
+    }
+}
+
+/**
+ * Check if server slot still holds the cache it had when the snapshot was taken
+ * The server may have been restarted or used by someone else in the meantime. Its last prompt decides
+ * when the server reports it; otherwise the cached token count must not have changed
+ * @param {Object} entry - Slot entry of snapshot
+ * @param {Object|null} telemetry - Live slot state from getSlotTelemetry
+ * @returns {boolean}
+ */
+export function isSnapshotSlotWarm(entry, telemetry) {
+    if (!telemetry || !telemetry.nPast) {
+        return false;
+    }
+
+    if (telemetry.prompt && entry.promptFingerprint) {
+        return getPromptPrefixMatch(entry.promptFingerprint, telemetry.prompt) === 1;
+    }
+
+    return entry.nPast !== null && telemetry.nPast === entry.nPast;
+}
@@ -0,0 +1,92 @@
+import { t } from '../../../../i18n.js';
+
+import { parseTimestamp } from '../utils/utils.js';
+import { getIndexedSaves, deleteFile } from './file-manager.js';
+import { showToast } from '../ui/ui.js';
+import { getExtensionSettings } from '../settings.js';
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Warning about protected saves is shown once until they fit into the budget again
+let protectedOverBudgetWarned = false;
+
+function formatGb(bytes) {
+    return (bytes / BYTES_PER_GB).toFixed(2);
+}
+
+/**
+ * Time the save was last used: loaded into a slot or, if never loaded, made
+ * @param {Object} file - Save from getIndexedSaves
+ * @returns {number} Time in milliseconds
+ */
+function getLastUsedTime(file) {
+    const savedAt = parseTimestamp(file.parsed.timestamp).getTime();
+    const loadedAt = file.metadata?.lastLoadedAt ? Date.parse(file.metadata.lastLoadedAt) : NaN;
+    return Number.isNaN(loadedAt) ? savedAt : Math.max(savedAt, loadedAt);
+}
+
+/**
+ * Delete autosaves of all chats until total size of saves fits into the storage budget
+ * Least recently used saves go first. Tagged and pinned saves are never deleted;
+ * if they alone exceed the budget, the user is warned
+ * @param {Object} options - Options
+ * @param {string[]} options.keep - Filenames that must not be deleted (saves just made)
+ * @returns {Promise<number>} Number of deleted files
+ */
+export async function enforceStorageQuota(options = {}) {
+    const extensionSettings = getExtensionSettings();
+    const budgetBytes = (parseFloat(extensionSettings.storageQuotaGb) || 0) * BYTES_PER_GB;
+    if (budgetBytes <= 0) {
+        return 0;
+    }
+
+    try {
+        const files = await getIndexedSaves();
+        let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+        if (totalBytes <= budgetBytes) {
+            protectedOverBudgetWarned = false;
+            return 0;
+        }
+
+        const keep = new Set(options.keep || []);
+        const isProtected = (file) => Boolean(file.parsed?.tag || file.parsed?.pinned);
+
+        const protectedBytes = files.filter(isProtected).reduce((sum, file) => sum + file.size, 0);
+        if (protectedBytes > budgetBytes) {
+            if (!protectedOverBudgetWarned) {
+                protectedOverBudgetWarned = true;
+                showToast('warning', t`Tagged and pinned saves alone take ${formatGb(protectedBytes)} GB, more than the storage budget of ${formatGb(budgetBytes)} GB. Delete some of them or raise the budget`, t`Storage Budget`);
+            }
+        } else {
+            protectedOverBudgetWarned = false;
+        }
+
+        // Saves with unrecognized names can't be dated, so they are left alone
+        const candidates = files
+            .filter(file => file.parsed && !isProtected(file) && !keep.has(file.name))
+            .sort((a, b) => getLastUsedTime(a) - getLastUsedTime(b));
+
+        let deletedCount = 0;
+        let freedBytes = 0;
+        for (const file of candidates) {
+            if (totalBytes <= budgetBytes) {
+                break;
+            }
+            if (await deleteFile(file.name)) {
+                totalBytes -= file.size;
+                freedBytes += file.size;
+                deletedCount++;
+            }
+        }
+
+        if (deletedCount > 0) {
+            console.info(`[KV Cache Manager] Storage budget: deleted ${deletedCount} autosaves, freed ${formatGb(freedBytes)} GB`);
+            showToast('warning', t`Deleted ${deletedCount} least recently used autosaves (${formatGb(freedBytes)} GB) to stay within the storage budget`, t`Storage Budget`);
+        }
+
+        return deletedCount;
+    } catch (e) {
+        console.error('[KV Cache Manager] Error enforcing storage budget:', e);
+        return 0;
+    }
+}
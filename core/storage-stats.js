@@ -0,0 +1,147 @@
+import { parseTimestamp } from '../utils/utils.js';
+import { getIndexedSaves, planRotation } from './file-manager.js';
+
+export const STORAGE_GROUPINGS = {
+    CHAT: 'chat',
+    CHARACTER: 'character',
+    MODEL: 'model'
+};
+
+// Days shown in the growth chart
+const GROWTH_DAYS = 30;
+const LARGEST_SAVES_COUNT = 10;
+
+const groupKeys = {
+    [STORAGE_GROUPINGS.CHAT]: file => file.parsed.chatId,
+    [STORAGE_GROUPINGS.CHARACTER]: file => file.parsed.characterName,
+    // Saves made before fingerprints were recorded share the null group
+    [STORAGE_GROUPINGS.MODEL]: file => file.parsed.modelFingerprint || null
+};
+
+const groupLabels = {
+    [STORAGE_GROUPINGS.CHAT]: file => file.parsed.chatName,
+    [STORAGE_GROUPINGS.CHARACTER]: file => file.parsed.originalCharacterName,
+    [STORAGE_GROUPINGS.MODEL]: file => file.parsed.modelName
+};
+
+function getDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Sum sizes of saves grouped by chat, character or model, largest groups first
+ * @param {Array} files - Saves with recognized names
+ * @param {string} grouping - One of STORAGE_GROUPINGS
+ * @returns {Array<{key: string|null, label: string|null, count: number, size: number, protectedCount: number, files: Array}>}
+ */
+function groupSaves(files, grouping) {
+    const getKey = groupKeys[grouping];
+    const getLabel = groupLabels[grouping];
+    const groups = new Map();
+
+    for (const file of files) {
+        const key = getKey(file);
+        if (!groups.has(key)) {
+            groups.set(key, { key, label: null, count: 0, size: 0, protectedCount: 0, files: [] });
+        }
+        const group = groups.get(key);
+        group.label ??= getLabel(file) || null;
+        group.count++;
+        group.size += file.size;
+        if (file.parsed.tag || file.parsed.pinned) {
+            group.protectedCount++;
+        }
+        group.files.push(file);
+    }
+
+    return [...groups.values()].sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Daily size of saves made in the last GROWTH_DAYS days and the running total
+ * Deleted saves are not known, so this is the growth of the saves that still exist
+ * @param {Array} files - Saves with recognized names
+ * @param {Date} now - Current time
+ * @returns {Array<{date: string, added: number, total: number}>} Days, oldest first
+ */
+function getGrowth(files, now) {
+    const days = [];
+    const addedByDay = new Map();
+    const firstDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() - GROWTH_DAYS + 1);
+
+    for (let i = 0; i < GROWTH_DAYS; i++) {
+        const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+        days.push(getDayKey(day));
+        addedByDay.set(getDayKey(day), 0);
+    }
+
+    let total = 0;
+    for (const file of files) {
+        const date = parseTimestamp(file.parsed.timestamp);
+        if (date < firstDay) {
+            total += file.size;
+            continue;
+        }
+        const key = getDayKey(date);
+        if (addedByDay.has(key)) {
+            addedByDay.set(key, addedByDay.get(key) + file.size);
+        }
+    }
+
+    return days.map(date => {
+        total += addedByDay.get(date);
+        return { date, added: addedByDay.get(date), total };
+    });
+}
+
+/**
+ * Collect disk usage of saves
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - List save directory instead of using file index (default: false)
+ * @returns {Promise<Object>} { count, size, unrecognized: {count, size}, groups: { [grouping]: Array }, largest: Array, growth: Array }
+ */
+export async function collectStorageStats(options = {}) {
+    const saves = await getIndexedSaves({ refresh: options.refresh });
+    const files = saves.filter(file => file.parsed);
+    const unrecognized = saves.filter(file => !file.parsed);
+
+    const groups = {};
+    for (const grouping of Object.values(STORAGE_GROUPINGS)) {
+        groups[grouping] = groupSaves(files, grouping);
+    }
+
+    return {
+        count: saves.length,
+        size: saves.reduce((sum, file) => sum + file.size, 0),
+        unrecognized: {
+            count: unrecognized.length,
+            size: unrecognized.reduce((sum, file) => sum + file.size, 0)
+        },
+        groups: groups,
+        largest: [...files].sort((a, b) => b.size - a.size).slice(0, LARGEST_SAVES_COUNT),
+        growth: getGrowth(files, new Date())
+    };
+}
+
+/**
+ * Plan rotation of the saves of a group: each chat the group has saves in is rotated by its own retention policy,
+ * and only saves of the group are deleted
+ * @param {{files: Array}} group - Group from collectStorageStats
+ * @returns {Promise<Array<{characterName: string, files: Array}>>} Rotation plan for deleteRotationPlan
+ */
+export async function planGroupRotation(group) {
+    const names = new Set(group.files.map(file => file.name));
+    const chatIds = new Set(group.files.map(file => file.parsed.chatId));
+    const plan = [];
+
+    for (const chatId of chatIds) {
+        for (const item of await planRotation(chatId)) {
+            const files = item.files.filter(file => names.has(file.name));
+            if (files.length > 0) {
+                plan.push({ characterName: item.characterName, files });
+            }
+        }
+    }
+
+    return plan;
+}
@@ -1,9 +1,13 @@
 import { eventSource, event_types } from "../../../../script.js";
 
-import { loadSettings, createSettingsHandlers, extensionFolderPath } from './settings.js';
-import { onSaveButtonClick, onSaveNowButtonClick, onLoadButtonClick, onReleaseAllSlotsButtonClick, onSaveSlotButtonClick, onPreloadCharactersButtonClick } from './ui/ui.js';
-import { initializeSlots, updateSlotsList, redistributeCharacters, initializePreviousChatId } from './core/slot-manager.js';
+import { loadSettings, createSettingsHandlers, renderRetentionSettings, extensionFolderPath } from './settings.js';
+import { onSaveButtonClick, onSaveNowButtonClick, onLoadButtonClick, onReleaseAllSlotsButtonClick, onPreviewRotationButtonClick, onOrphanedSavesButtonClick, onStorageUsageButtonClick, onImportBundleButtonClick, onSaveSlotButtonClick, onPinSlotButtonClick, onPreloadCharactersButtonClick } from './ui/ui.js';
+import { initializeSlots, updateSlotsList, redistributeCharacters, initializePreviousChatId, refreshServerSlots, startSlotsPolling } from './core/slot-manager.js';
+import { onServerConnectionChange } from './core/server-pool.js';
+import { migrateLegacySaveNames } from './core/save-migration.js';
 import { processMessageForAutoSave } from './core/auto-save.js';
+import { forkParentSaves } from './core/chat-forks.js';
+import { onChatDeleted, onCharacterDeleted } from './ui/maintenance-popup.js';
 import { KVCacheManagerInterceptor, setSlotForGeneration } from './interceptors/generation-interceptor.js';
 
 jQuery(async () => {
@@ -13,6 +17,14 @@ jQuery(async () => {
     await loadSettings();
     await initializeSlots();
     initializePreviousChatId();
+    startSlotsPolling();
+    
+    // Server restarted or came back online - its slots and features may have changed
+    onServerConnectionChange((serverUrl, online) => {
+        if (online) {
+            refreshServerSlots(serverUrl);
+        }
+    });
     
     window['KVCacheManagerInterceptor'] = KVCacheManagerInterceptor;
     
@@ -20,22 +32,53 @@ jQuery(async () => {
     eventSource.on(event_types.TEXT_COMPLETION_SETTINGS_READY, setSlotForGeneration);
     eventSource.on(event_types.MESSAGE_RECEIVED, processMessageForAutoSave);
     eventSource.on(event_types.CHAT_CHANGED, redistributeCharacters);
+    eventSource.on(event_types.CHAT_CHANGED, renderRetentionSettings);
+    // After redistribution: characters whose slots were saved into the branch already have a cache there
+    eventSource.on(event_types.CHAT_CHANGED, forkParentSaves);
+    eventSource.on(event_types.CHAT_DELETED, onChatDeleted);
+    eventSource.on(event_types.GROUP_CHAT_DELETED, onChatDeleted);
+    eventSource.on(event_types.CHARACTER_DELETED, onCharacterDeleted);
+    // Old saves are matched against characters and chats, which are loaded by then. Not awaited: renaming
+    // many saves must not hold up other APP_READY listeners
+    eventSource.once(event_types.APP_READY, () => {
+        migrateLegacySaveNames().catch(e => console.error('[KV Cache Manager] Error migrating save names:', e));
+    });
 
     const settingsHandlers = createSettingsHandlers();
     $("#kv-cache-enabled").on("input", settingsHandlers.onEnabledChange);
     $("#kv-cache-save-interval").on("input", settingsHandlers.onSaveIntervalChange);
-    $("#kv-cache-max-files").on("input", settingsHandlers.onMaxFilesChange);
+    $("#kv-cache-save-token-interval").on("input", settingsHandlers.onSaveTokenIntervalChange);
+    $("#kv-cache-save-activity-minutes").on("input", settingsHandlers.onSaveActivityMinutesChange);
+    $("#kv-cache-save-idle-seconds").on("input", settingsHandlers.onSaveIdleSecondsChange);
+    $("#kv-cache-max-files, #kv-cache-retention-days, #kv-cache-retention-weeks, #kv-cache-retention-max-age").on("change", settingsHandlers.onRetentionChange);
+    $("#kv-cache-retention-policy").on("change", settingsHandlers.onRetentionChange);
+    $("#kv-cache-retention-chat-override").on("input", settingsHandlers.onRetentionChatOverrideChange);
+    $("#kv-cache-storage-quota").on("change", settingsHandlers.onStorageQuotaChange);
     $("#kv-cache-show-notifications").on("input", settingsHandlers.onShowNotificationsChange);
     $("#kv-cache-clear-on-chat-change").on("input", settingsHandlers.onClearOnChatChangeChange);
+    $("#kv-cache-fork-on-branch").on("input", settingsHandlers.onForkOnBranchChange);
+    $("#kv-cache-min-prompt-match").on("change", settingsHandlers.onMinPromptMatchChange);
+    $("#kv-cache-stale-prompt-action").on("change", settingsHandlers.onStalePromptActionChange);
     $("#kv-cache-preload-timeout").on("input", settingsHandlers.onPreloadTimeoutChange);
+    $("#kv-cache-server-urls").on("change", settingsHandlers.onServerUrlsChange);
+    $("#kv-cache-api-key").on("change", settingsHandlers.onApiKeyChange);
+    $("#kv-cache-backend-type").on("change", settingsHandlers.onBackendTypeChange);
+    $("#kv-cache-custom-backend-routes").on("change", settingsHandlers.onCustomBackendRoutesChange);
+    $("#kv-cache-slots-poll-interval").on("input", settingsHandlers.onSlotsPollIntervalChange);
+    $("#kv-cache-eviction-policy").on("change", settingsHandlers.onEvictionPolicyChange);
     
     $("#kv-cache-save-button").on("click", onSaveButtonClick);
     $("#kv-cache-load-button").on("click", onLoadButtonClick);
     $("#kv-cache-save-now-button").on("click", onSaveNowButtonClick);
     $("#kv-cache-preload-characters-button").on("click", onPreloadCharactersButtonClick);
     $("#kv-cache-release-all-slots-button").on("click", onReleaseAllSlotsButtonClick);
+    $("#kv-cache-preview-rotation-button").on("click", onPreviewRotationButtonClick);
+    $("#kv-cache-storage-usage-button").on("click", onStorageUsageButtonClick);
+    $("#kv-cache-orphaned-saves-button").on("click", onOrphanedSavesButtonClick);
+    $("#kv-cache-import-bundle-button").on("click", onImportBundleButtonClick);
     
     // Delegation for dynamic elements
     $(document).on("click", ".kv-cache-save-slot-button", onSaveSlotButtonClick);
+    $(document).on("click", ".kv-cache-pin-slot-button", onPinSlotButtonClick);
     
 });
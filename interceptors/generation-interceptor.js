@@ -1,17 +1,22 @@
 import { getContext } from "../../../../extensions.js";
 
 import { formatTimestampToDate } from '../utils/utils.js';
-import { getSlotsState, acquireSlot } from '../core/slot-manager.js';
+import { getSlotsState, acquireSlot, getSlotLocation, setSlotPromptFingerprint, markSlotGeneration } from '../core/slot-manager.js';
+import { isSlotSaveSupported, getServerCapabilities, getModelDisplayName } from '../core/server-capabilities.js';
 import { loadSlotCache } from '../core/cache-operations.js';
-import { getLastCacheForCharacter, parseSaveFilename } from '../core/file-manager.js';
+import { getLastCacheForCharacter, parseSaveFilename, isSaveCorrupted } from '../core/file-manager.js';
+import { getHistoryHashes } from '../core/message-anchors.js';
+import { createPromptFingerprint } from '../core/prompt-prefix.js';
 import { showToast } from '../ui/ui.js';
 import { getNormalizedCharacterNameFromContext, getNormalizedCharacterNameFromData } from '../utils/character-utils.js';
-import { MIN_USAGE_FOR_SAVE } from '../settings.js';
+import { getExtensionSettings, MIN_USAGE_FOR_SAVE } from '../settings.js';
 
 let currentSlot = null;
 let isPreloading = false;
 // Used instead of context because context may not be updated yet
 let currentPreloadCharacter = null;
+// Cache restore chosen by the interceptor, run once the prompt is known
+let pendingRestore = null;
 
 export function setPreloadingMode(enabled) {
     isPreloading = enabled;
@@ -36,6 +41,8 @@ export function getCurrentSlot() {
  * @param {string} type - Generation type ('normal', 'regenerate', 'swipe', 'quiet', 'impersonate', 'continue')
  */
 export async function KVCacheManagerInterceptor(chat, contextSize, abort, type) {
+    pendingRestore = null;
+    
     if (type === 'impersonate') {
         return;
     }
@@ -56,6 +63,12 @@ export async function KVCacheManagerInterceptor(chat, contextSize, abort, type)
         }
         
         const slotsState = getSlotsState();
+        if (slotsState.length === 0) {
+            // No reachable servers, reason is shown in extension settings
+            currentSlot = null;
+            return;
+        }
+        
         currentSlot = await acquireSlot(characterName, MIN_USAGE_FOR_SAVE);
         
         if (currentSlot === null) {
@@ -68,35 +81,25 @@ export async function KVCacheManagerInterceptor(chat, contextSize, abort, type)
         const slot = slotsState[currentSlot];
         const cacheNotLoaded = !slot?.cacheLoaded;
         
-        if (cacheNotLoaded) {
-            try {
-                const cacheInfo = await getLastCacheForCharacter(characterName, true); // Only from current chat
-                
-                if (cacheInfo) {
-                    const loaded = await loadSlotCache(currentSlot, cacheInfo.filename);
-                    
-                    if (loaded) {
-                        const parsed = parseSaveFilename(cacheInfo.filename);
-                        if (parsed && parsed.timestamp) {
-                            const dateTimeStr = formatTimestampToDate(parsed.timestamp);
-                            showToast('success', t`Cache for ${characterName} loaded (${dateTimeStr})`, t`Generation`);
-                        } else {
-                            showToast('success', t`Cache for ${characterName} loaded`, t`Generation`);
-                        }
-                    } else {
-                        showToast('warning', t`Failed to load cache for ${characterName}`, t`Generation`);
-                    }
+        if (cacheNotLoaded && isSlotSaveSupported(slot.serverUrl)) {
+            // Only from current chat and only made with the model loaded on slot's server
+            // Only saves whose messages are still in the chat: a save past deleted or edited messages would be mostly reprocessed
+            // The prompt isn't built yet, so the restore itself waits for it in setSlotForGeneration
+            pendingRestore = {
+                slotIndex: currentSlot,
+                characterName: characterName,
+                searchOptions: {
+                    modelFingerprint: getServerCapabilities(slot.serverUrl).modelFingerprint,
+                    historyHashes: getHistoryHashes(getContext()?.chat)
                 }
-            } catch (e) {
-                console.error(`[KV Cache Manager] Error loading cache for character ${characterName}:`, e);
-                showToast('error', t`Error loading cache for ${characterName}: ${e.message}`, t`Generation`);
-                // Don't interrupt generation on cache load error
-            }
+            };
         }
         
         // Save generation type in slot for use in processMessageForAutoSave
         // Usage increment happens in processMessageForAutoSave on MESSAGE_RECEIVED event
         slotsState[currentSlot].generationType = type;
+        // Generation time decides least recently and least frequently used eviction
+        markSlotGeneration(currentSlot);
         
     } catch (error) {
         console.error('[KV Cache Manager] Error in generation interceptor:', error);
@@ -104,10 +107,116 @@ export async function KVCacheManagerInterceptor(chat, contextSize, abort, type)
     }
 }
 
-export function setSlotForGeneration(params) {
-    const slot = getCurrentSlot();
-    if (slot !== null) {
-        params["id_slot"] = slot;
+/**
+ * Load the newest fitting save of character into slot
+ * Saves whose prompt prefix differs too much from the current prompt are skipped in favor of older ones
+ * @param {{slotIndex: number, characterName: string, searchOptions: Object}} restore - Restore planned by the interceptor
+ * @param {string} prompt - Current prompt text
+ */
+async function restoreCharacterCache(restore, prompt) {
+    const { slotIndex, characterName } = restore;
+    const extensionSettings = getExtensionSettings();
+    const minPromptMatch = (parseInt(extensionSettings.minPromptMatchPercent) || 0) / 100;
+    
+    try {
+        let searchOptions = { ...restore.searchOptions, prompt, minPromptMatch };
+        let cacheInfo = await getLastCacheForCharacter(characterName, true, searchOptions);
+        let staleLoad = false;
+        
+        if (cacheInfo && !cacheInfo.filename && cacheInfo.skippedStalePrompt > 0 && extensionSettings.stalePromptAction === 'load') {
+            searchOptions = restore.searchOptions;
+            cacheInfo = await getLastCacheForCharacter(characterName, true, searchOptions);
+            staleLoad = Boolean(cacheInfo?.filename);
+        }
+        
+        let loaded = false;
+        
+        // A save found damaged on restore is marked, so the next search falls back to the next-newest valid save
+        while (cacheInfo?.filename) {
+            loaded = await loadSlotCache(slotIndex, cacheInfo.filename);
+            if (loaded || !isSaveCorrupted(cacheInfo.filename)) {
+                break;
+            }
+            cacheInfo = await getLastCacheForCharacter(characterName, true, searchOptions);
+        }
+        
+        if (cacheInfo?.skippedDiverged > 0) {
+            showToast('info', t`Skipped ${cacheInfo.skippedDiverged} saves of ${characterName} made after messages that were since deleted or edited`, t`Generation`);
+        }
+        
+        if (cacheInfo?.skippedCorrupted > 0) {
+            showToast('warning', t`Skipped ${cacheInfo.skippedCorrupted} damaged saves of ${characterName}`, t`Generation`);
+        }
+        
+        if (staleLoad) {
+            showToast('warning', t`Cache for ${characterName} was made with a different prompt: most of it will be processed again`, t`Generation`);
+        } else if (cacheInfo?.skippedStalePrompt > 0) {
+            if (cacheInfo.filename) {
+                showToast('info', t`Skipped ${cacheInfo.skippedStalePrompt} newer saves of ${characterName}: made with a different prompt`, t`Generation`);
+            } else {
+                showToast('warning', t`Cache for ${characterName} not loaded: the system prompt, character card, persona, world info or preset changed since the saves were made`, t`Generation`);
+            }
+        }
+        
+        if (cacheInfo?.skippedIncompatible > 0) {
+            const modelName = getModelDisplayName(searchOptions.modelFingerprint);
+            if (cacheInfo.filename) {
+                showToast('warning', t`Skipped ${cacheInfo.skippedIncompatible} newer saves of ${characterName}: made with a different model than ${modelName}`, t`Generation`);
+            } else {
+                showToast('warning', t`Cache for ${characterName} not loaded: all saves were made with a different model than ${modelName}`, t`Generation`);
+            }
+        }
+        
+        if (cacheInfo?.filename) {
+            if (loaded) {
+                const parsed = parseSaveFilename(cacheInfo.filename);
+                if (parsed && parsed.timestamp) {
+                    const dateTimeStr = formatTimestampToDate(parsed.timestamp);
+                    showToast('success', t`Cache for ${characterName} loaded (${dateTimeStr})`, t`Generation`);
+                } else {
+                    showToast('success', t`Cache for ${characterName} loaded`, t`Generation`);
+                }
+            } else {
+                showToast('warning', t`Failed to load cache for ${characterName}`, t`Generation`);
+            }
+        }
+    } catch (e) {
+        console.error(`[KV Cache Manager] Error loading cache for character ${characterName}:`, e);
+        showToast('error', t`Error loading cache for ${characterName}: ${e.message}`, t`Generation`);
+        // Don't interrupt generation on cache load error
     }
 }
 
+/**
+ * TEXT_COMPLETION_SETTINGS_READY handler: route generation to the acquired slot
+ * The cache restore planned by the interceptor runs here, where the final prompt can be compared with the prompts
+ * of the saves. The request isn't sent before the restore finishes: getTextGenGenerationData (textgen-settings.js)
+ * does `await eventSource.emit(TEXT_COMPLETION_SETTINGS_READY, params)`, EventEmitter.emit (lib/eventemitter.js)
+ * awaits every listener in turn, and Generate and generateRaw await getTextGenGenerationData before sending the payload
+ * @param {Object} params - Generation request payload
+ */
+export async function setSlotForGeneration(params) {
+    const slot = getCurrentSlot();
+    if (slot === null) {
+        return;
+    }
+    
+    const location = getSlotLocation(slot);
+    if (!location) {
+        return;
+    }
+    
+    params["id_slot"] = location.slotId;
+    
+    // Route generation to the server that owns the slot
+    params["api_server"] = location.serverUrl;
+    
+    if (pendingRestore?.slotIndex === slot) {
+        const restore = pendingRestore;
+        pendingRestore = null;
+        await restoreCharacterCache(restore, params["prompt"]);
+    }
+    
+    // After this generation the slot's cache is built from this prompt
+    setSlotPromptFingerprint(slot, createPromptFingerprint(params["prompt"]));
+}
@@ -1,36 +1,98 @@
 import { extension_settings } from "../../../extensions.js";
 import { saveSettingsDebounced } from "../../../../script.js";
 import { showToast } from './ui/ui.js';
-import { updateSlotsList } from './core/slot-manager.js';
+import { updateSlotsList, initializeSlots, saveSlotsBeforeReset, startSlotsPolling } from './core/slot-manager.js';
+import { resetBackendAdapters } from './core/server-pool.js';
+import { getBackendTypes } from './api/backend-registry.js';
+import { parseCustomBackendRoutes } from './api/custom-backend-api.js';
+import { getRetentionPolicy, setChatRetentionPolicy, RETENTION_POLICIES } from './core/retention.js';
+import { getNormalizedChatId } from './utils/utils.js';
 
 export const extensionName = "kv_cache-manager";
 export const extensionFolderPath = `scripts/extensions/third-party/${extensionName}`;
 
 export const defaultSettings = {
     enabled: true,
+    // Autosave triggers, any of them saves the slot (see core/auto-save.js); 0 disables a trigger
     saveInterval: 5,
+    saveTokenInterval: 0,
+    saveActivityMinutes: 0,
+    saveIdleSeconds: 0,
     maxFiles: 10,
+    // Global retention policy of autosaves, "keep last" count is maxFiles (see core/retention.js)
+    retentionPolicy: { type: 'keep-last', days: 7, weeks: 4, maxAgeDays: 30 },
+    // Normalized chat ID -> retention policy overriding the global one
+    chatRetentionPolicies: {},
+    // Total size of all saves in GB, enforced after every save by deleting least recently used autosaves; 0 - unlimited
+    storageQuotaGb: 0,
     showNotifications: true,
     clearOnChatChange: true,
-    preloadTimeout: 20
+    // Copy the parent chat's saves into a new branch or checkpoint, so it starts with a warm cache
+    forkOnBranch: true,
+    // Autoload skips saves whose prompt matches the current one by less than this share (percent); 0 - don't check
+    minPromptMatchPercent: 50,
+    // What autoload does when no save matches the current prompt well enough: 'skip' or 'load' the newest one anyway
+    stalePromptAction: 'skip',
+    preloadTimeout: 20,
+    // One llama.cpp server URL per line; empty means SillyTavern's llama.cpp server
+    serverUrls: '',
+    // Sent as Bearer token to llama.cpp servers started with --api-key
+    apiKey: '',
+    // Slot persistence protocol of the servers, see api/backend-registry.js
+    backendType: 'llamacpp',
+    // JSON object overriding routes of the 'custom' backend
+    customBackendRoutes: '',
+    // Slot list refresh interval in seconds while settings are open; 0 disables polling
+    slotsPollInterval: 5,
+    // Which slot is given to a new character when all slots are taken, see core/eviction.js
+    evictionPolicy: 'lru'
 };
 
 export const MIN_FILE_SIZE_MB = 1;
 export const FILE_CHECK_DELAY_MS = 500;
+// How long the file index is trusted before the save directory is listed again (picks up changes made outside this tab)
+export const FILE_INDEX_MAX_AGE_MS = 60000;
 
 export const MIN_USAGE_FOR_SAVE = 1;
+// Window of the least-frequently-used eviction policy
+export const EVICTION_LFU_WINDOW_MS = 30 * 60 * 1000;
 
 export const LLAMA_API_TIMEOUTS = {
+    HEALTH: 5000,
+    PROPS: 10000,
     GET_SLOTS: 10000,
     SAVE_CACHE: 300000,
     LOAD_CACHE: 300000,
     CLEAR_CACHE: 30000
 };
 
+// Retries are only allowed for safe or idempotent operations
+export const LLAMA_API_RETRY_POLICIES = {
+    HEALTH: { retries: 1, baseDelayMs: 500, maxDelayMs: 2000 },
+    PROPS: { retries: 1, baseDelayMs: 500, maxDelayMs: 2000 },
+    GET_SLOTS: { retries: 3, baseDelayMs: 500, maxDelayMs: 5000 },
+    SAVE_CACHE: { retries: 0 },
+    LOAD_CACHE: { retries: 0 },
+    CLEAR_CACHE: { retries: 2, baseDelayMs: 1000, maxDelayMs: 5000 }
+};
+
+export const LLAMA_API_CIRCUIT_BREAKER = {
+    failureThreshold: 3,
+    resetTimeoutMs: 30000
+};
+
 export const FILE_PLUGIN_API_TIMEOUTS = {
     CSRF_TOKEN: 5000,
     GET_FILES: 10000,
-    DELETE_FILE: 10000
+    DELETE_FILE: 10000,
+    RENAME_FILE: 10000,
+    DOWNLOAD_FILE: 600000,
+    UPLOAD_FILE: 600000,
+    COPY_FILE: 600000,
+    // Hashing a multi-gigabyte cache takes a while
+    GET_CHECKSUM: 120000,
+    GET_METADATA: 10000,
+    WRITE_METADATA: 10000
 };
 
 export function getExtensionSettings() {
@@ -45,20 +107,63 @@ export async function loadSettings() {
     
     for (const key in defaultSettings) {
         if (!(key in extensionSettings)) {
-            extensionSettings[key] = defaultSettings[key];
+            // Objects are copied so that changing settings doesn't change defaults
+            extensionSettings[key] = structuredClone(defaultSettings[key]);
         }
     }
     
     $("#kv-cache-enabled").prop("checked", extensionSettings.enabled).trigger("input");
     $("#kv-cache-save-interval").val(extensionSettings.saveInterval).trigger("input");
-    $("#kv-cache-max-files").val(extensionSettings.maxFiles).trigger("input");
+    $("#kv-cache-save-token-interval").val(extensionSettings.saveTokenInterval);
+    $("#kv-cache-save-activity-minutes").val(extensionSettings.saveActivityMinutes);
+    $("#kv-cache-save-idle-seconds").val(extensionSettings.saveIdleSeconds);
     $("#kv-cache-show-notifications").prop("checked", extensionSettings.showNotifications).trigger("input");
     $("#kv-cache-clear-on-chat-change").prop("checked", extensionSettings.clearOnChatChange).trigger("input");
+    $("#kv-cache-fork-on-branch").prop("checked", extensionSettings.forkOnBranch);
+    $("#kv-cache-min-prompt-match").val(extensionSettings.minPromptMatchPercent);
+    $("#kv-cache-stale-prompt-action").val(extensionSettings.stalePromptAction);
     $("#kv-cache-preload-timeout").val(extensionSettings.preloadTimeout).trigger("input");
+    $("#kv-cache-storage-quota").val(extensionSettings.storageQuotaGb);
+    $("#kv-cache-server-urls").val(extensionSettings.serverUrls);
+    $("#kv-cache-api-key").val(extensionSettings.apiKey);
+    
+    // Backends registered by other code are added after the built-in ones from settings.html
+    const backendSelect = $("#kv-cache-backend-type");
+    for (const { type, name } of getBackendTypes()) {
+        if (backendSelect.find(`option[value="${type}"]`).length === 0) {
+            backendSelect.append($('<option>').val(type).text(name));
+        }
+    }
+    backendSelect.val(extensionSettings.backendType);
+    $("#kv-cache-custom-backend-routes").val(extensionSettings.customBackendRoutes);
+    $("#kv-cache-custom-backend-routes-block").toggle(extensionSettings.backendType === 'custom');
+    $("#kv-cache-slots-poll-interval").val(extensionSettings.slotsPollInterval);
+    $("#kv-cache-eviction-policy").val(extensionSettings.evictionPolicy);
+    renderRetentionSettings();
     
     updateSlotsList();
 }
 
+/**
+ * Show retention policy of current chat (its own or the global one) in settings
+ * Called on load and on chat change
+ */
+export function renderRetentionSettings() {
+    const policy = getRetentionPolicy(getNormalizedChatId());
+    
+    $("#kv-cache-retention-chat-override").prop("checked", policy.chatOverride);
+    $("#kv-cache-retention-policy").val(policy.type);
+    $("#kv-cache-max-files").val(policy.keepLast);
+    $("#kv-cache-retention-days").val(policy.days);
+    $("#kv-cache-retention-weeks").val(policy.weeks);
+    $("#kv-cache-retention-max-age").val(policy.maxAgeDays);
+    
+    $("#kv-cache-retention-gfs-block").toggle(policy.type === RETENTION_POLICIES.GFS);
+    $("#kv-cache-retention-max-age-block").toggle(policy.type === RETENTION_POLICIES.MAX_AGE);
+    // Max age policy doesn't keep a fixed number of saves
+    $("#kv-cache-max-files-block").toggle(policy.type !== RETENTION_POLICIES.MAX_AGE);
+}
+
 export function createSettingsHandlers() {
     const extensionSettings = getExtensionSettings();
     
@@ -69,14 +174,68 @@ export function createSettingsHandlers() {
     }
     
     function onSaveIntervalChange(event) {
-        const value = parseInt($(event.target).val()) || 5;
-        extensionSettings.saveInterval = value;
+        const value = parseInt($(event.target).val());
+        extensionSettings.saveInterval = Number.isNaN(value) ? 5 : Math.max(0, value);
+        saveSettingsDebounced();
+    }
+    
+    function onSaveTokenIntervalChange(event) {
+        const value = Math.max(0, parseInt($(event.target).val()) || 0);
+        extensionSettings.saveTokenInterval = value;
         saveSettingsDebounced();
     }
     
-    function onMaxFilesChange(event) {
-        const value = parseInt($(event.target).val()) || 10;
-        extensionSettings.maxFiles = value;
+    function onSaveActivityMinutesChange(event) {
+        const value = Math.max(0, parseFloat($(event.target).val()) || 0);
+        extensionSettings.saveActivityMinutes = value;
+        saveSettingsDebounced();
+    }
+    
+    function onSaveIdleSecondsChange(event) {
+        const value = Math.max(0, parseInt($(event.target).val()) || 0);
+        extensionSettings.saveIdleSeconds = value;
+        saveSettingsDebounced();
+    }
+    
+    /**
+     * Read retention policy from settings fields
+     * @returns {{type: string, keepLast: number, days: number, weeks: number, maxAgeDays: number}}
+     */
+    function readRetentionFields() {
+        return {
+            type: String($("#kv-cache-retention-policy").val() || RETENTION_POLICIES.KEEP_LAST),
+            keepLast: Math.max(1, parseInt($("#kv-cache-max-files").val()) || 10),
+            days: Math.max(0, parseInt($("#kv-cache-retention-days").val()) || 0),
+            weeks: Math.max(0, parseInt($("#kv-cache-retention-weeks").val()) || 0),
+            maxAgeDays: Math.max(0, parseInt($("#kv-cache-retention-max-age").val()) || 0)
+        };
+    }
+    
+    // Fields edit the policy of current chat if it has one, otherwise the global policy
+    function onRetentionChange() {
+        const chatId = getNormalizedChatId();
+        const { keepLast, ...policy } = readRetentionFields();
+        
+        if (getRetentionPolicy(chatId).chatOverride) {
+            setChatRetentionPolicy(chatId, { ...policy, keepLast });
+        } else {
+            extensionSettings.maxFiles = keepLast;
+            extensionSettings.retentionPolicy = policy;
+            saveSettingsDebounced();
+        }
+        renderRetentionSettings();
+    }
+    
+    function onRetentionChatOverrideChange(event) {
+        const value = Boolean($(event.target).prop("checked"));
+        // New chat policy starts as a copy of the global one
+        setChatRetentionPolicy(getNormalizedChatId(), value ? readRetentionFields() : null);
+        renderRetentionSettings();
+    }
+    
+    function onStorageQuotaChange(event) {
+        const value = Math.max(0, parseFloat($(event.target).val()) || 0);
+        extensionSettings.storageQuotaGb = value;
         saveSettingsDebounced();
     }
     
@@ -96,19 +255,103 @@ export function createSettingsHandlers() {
         showToast('success', t`Clear on chat change ${status}`);
     }
     
+    function onForkOnBranchChange(event) {
+        extensionSettings.forkOnBranch = Boolean($(event.target).prop("checked"));
+        saveSettingsDebounced();
+    }
+    
+    function onMinPromptMatchChange(event) {
+        const value = Math.min(100, Math.max(0, parseInt($(event.target).val()) || 0));
+        extensionSettings.minPromptMatchPercent = value;
+        saveSettingsDebounced();
+    }
+    
+    function onStalePromptActionChange(event) {
+        extensionSettings.stalePromptAction = String($(event.target).val() || 'skip');
+        saveSettingsDebounced();
+    }
+    
     function onPreloadTimeoutChange(event) {
         const value = parseInt($(event.target).val());
         extensionSettings.preloadTimeout = value;
         saveSettingsDebounced();
     }
     
+    async function onServerUrlsChange(event) {
+        const value = String($(event.target).val() || '');
+        // Slot inventory depends on the server list
+        await saveSlotsBeforeReset();
+        extensionSettings.serverUrls = value;
+        saveSettingsDebounced();
+        await initializeSlots();
+    }
+    
+    async function onApiKeyChange(event) {
+        const value = String($(event.target).val() || '').trim();
+        await saveSlotsBeforeReset();
+        extensionSettings.apiKey = value;
+        saveSettingsDebounced();
+        await initializeSlots();
+    }
+    
+    async function onBackendTypeChange(event) {
+        const value = String($(event.target).val() || 'llamacpp');
+        await saveSlotsBeforeReset();
+        extensionSettings.backendType = value;
+        saveSettingsDebounced();
+        $("#kv-cache-custom-backend-routes-block").toggle(value === 'custom');
+        // Adapters of the previous backend type must not be reused
+        resetBackendAdapters();
+        await initializeSlots();
+    }
+    
+    async function onCustomBackendRoutesChange(event) {
+        const value = String($(event.target).val() || '');
+        try {
+            parseCustomBackendRoutes(value);
+        } catch (e) {
+            showToast('error', e.message);
+            return;
+        }
+        await saveSlotsBeforeReset();
+        extensionSettings.customBackendRoutes = value;
+        saveSettingsDebounced();
+        await initializeSlots();
+    }
+    
+    function onSlotsPollIntervalChange(event) {
+        const value = Math.max(0, parseInt($(event.target).val()) || 0);
+        extensionSettings.slotsPollInterval = value;
+        saveSettingsDebounced();
+        startSlotsPolling();
+    }
+    
+    function onEvictionPolicyChange(event) {
+        extensionSettings.evictionPolicy = String($(event.target).val() || 'lru');
+        saveSettingsDebounced();
+    }
+    
     return {
         onEnabledChange,
         onSaveIntervalChange,
-        onMaxFilesChange,
+        onSaveTokenIntervalChange,
+        onSaveActivityMinutesChange,
+        onSaveIdleSecondsChange,
+        onRetentionChange,
+        onRetentionChatOverrideChange,
+        onStorageQuotaChange,
         onShowNotificationsChange,
         onClearOnChatChangeChange,
-        onPreloadTimeoutChange
+        onForkOnBranchChange,
+        onMinPromptMatchChange,
+        onStalePromptActionChange,
+        onPreloadTimeoutChange,
+        onServerUrlsChange,
+        onApiKeyChange,
+        onBackendTypeChange,
+        onCustomBackendRoutesChange,
+        onSlotsPollIntervalChange,
+        onEvictionPolicyChange
     };
 }
 
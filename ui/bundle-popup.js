@@ -0,0 +1,172 @@
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../../popup.js';
+import { download } from '../../../../utils.js';
+import { t } from '../../../../i18n.js';
+
+import { HttpError } from '../api/http-client.js';
+import { formatFileSize, formatTimestampToDate, escapeHtml } from '../utils/utils.js';
+import { parseSaveFilename } from '../core/file-manager.js';
+import { createBundle, getBundleFilename, readBundle, planBundleImport, importBundle } from '../core/bundle.js';
+import { getModelDisplayName } from '../core/server-capabilities.js';
+import { showToast } from './ui.js';
+import { openLoadPopup } from './load-popup.js';
+
+/**
+ * Download saves as one bundle file
+ * @param {Array<{filename: string, metadata: Object|null}>} saves - Saves to export
+ * @param {string} label - What is exported, used in the bundle file name (chat or character id)
+ */
+export async function exportSaves(saves, label) {
+    if (!saves || saves.length === 0) {
+        showToast('warning', t`Nothing to export`);
+        return;
+    }
+
+    showToast('info', t`Exporting ${saves.length} saves...`, t`Export`);
+
+    try {
+        const bundle = await createBundle(saves);
+        download(bundle, getBundleFilename(label), 'application/x-tar');
+        showToast('success', t`Exported ${saves.length} saves (${formatFileSize(bundle.size)})`, t`Export`);
+    } catch (e) {
+        console.error('[KV Cache Manager] Error exporting saves:', e);
+        if (e instanceof HttpError && e.status === 404) {
+            showToast('error', t`The file plugin can't download saves. Update the plugin to export bundles`, t`Export`);
+        } else {
+            showToast('error', t`Export failed: ${e.message}`, t`Export`);
+        }
+    }
+}
+
+/**
+ * Ask user for bundle file
+ * @returns {Promise<File|null>} Selected file or null
+ */
+function pickBundleFile() {
+    return new Promise(resolve => {
+        const input = $('<input type="file" accept=".tar,application/x-tar" style="display: none;">');
+        input.on('change', () => {
+            resolve(input[0].files?.[0] || null);
+            input.remove();
+        });
+        $('body').append(input);
+        input.trigger('click');
+    });
+}
+
+/**
+ * Render import check of one save
+ * @param {Object} item - Item of planBundleImport
+ * @returns {string} HTML
+ */
+function renderImportItem(item) {
+    const parsed = parseSaveFilename(item.filename);
+    const characterName = item.metadata?.characterName || parsed?.characterName || item.filename;
+    const chatName = item.metadata?.chatName || item.chatId;
+
+    const problems = [];
+    if (item.invalidName) {
+        problems.push(t`invalid file name`);
+    }
+    if (item.missingData) {
+        problems.push(t`file missing in bundle`);
+    }
+    if (item.alreadyExists) {
+        problems.push(t`already exists`);
+    }
+    if (!item.compatible) {
+        problems.push(t`different model: ${escapeHtml(getModelDisplayName(item.save.modelFingerprint))}`);
+    }
+    if (!item.chatExists && item.chatId === item.save.chatId) {
+        problems.push(t`chat not found`);
+    }
+    if (!item.characterExists) {
+        problems.push(t`character not found`);
+    }
+
+    const icon = item.importable
+        ? '<i class="fa-solid fa-check"></i>'
+        : '<i class="fa-solid fa-ban"></i>';
+    const dateTime = parsed ? formatTimestampToDate(parsed.timestamp) : '';
+    const problemsLabel = problems.length > 0 ? ` <span class="kv-cache-import-problems">(${problems.join(', ')})</span>` : '';
+
+    return `<li class="${item.importable ? '' : 'kv-cache-import-skipped'}" title="${escapeHtml(item.filename)}">
+        ${icon} ${escapeHtml(characterName)} - ${escapeHtml(chatName)}, ${dateTime}, ${formatFileSize(item.save.size)}${problemsLabel}
+    </li>`;
+}
+
+/**
+ * Import saves from bundle file chosen by the user
+ * Shows how bundle saves map to local chats, characters and models before uploading,
+ * then opens the load popup on the imported chat
+ */
+export async function openImportBundlePopup() {
+    const file = await pickBundleFile();
+    if (!file) {
+        return;
+    }
+
+    let bundle;
+    let plan;
+    try {
+        bundle = await readBundle(file);
+        plan = await planBundleImport(bundle);
+    } catch (e) {
+        console.error('[KV Cache Manager] Error reading bundle:', e);
+        showToast('error', t`Failed to read bundle: ${e.message}`, t`Import`);
+        return;
+    }
+
+    const hasMissingChats = plan.some(item => !item.chatExists);
+    const renderList = () => `<ul class="kv-cache-import-list">${plan.map(renderImportItem).join('')}</ul>`;
+
+    const result = await callGenericPopup(
+        `<h3>${t`Import Bundle`}</h3>
+        <p>${t`Bundle from ${new Date(bundle.manifest.createdAt).toLocaleString()} with ${bundle.manifest.saves.length} saves. Saves marked with a ban sign are skipped.`}</p>
+        ${hasMissingChats ? `<label class="checkbox_label"><input type="checkbox" id="kv-cache-import-assign-current" /> ${t`Assign saves of chats that don't exist here to the current chat`}</label>` : ''}
+        <div id="kv-cache-import-list-container">${renderList()}</div>`,
+        POPUP_TYPE.TEXT,
+        '',
+        {
+            okButton: t`Import`,
+            cancelButton: true,
+            allowVerticalScrolling: true,
+            onOpen: (popup) => {
+                $(popup.content).find('#kv-cache-import-assign-current').on('change', async function() {
+                    plan = await planBundleImport(bundle, { assignMissingChatsToCurrent: $(this).prop('checked') });
+                    $(popup.content).find('#kv-cache-import-list-container').html(renderList());
+                });
+            }
+        }
+    );
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    const itemsToImport = plan.filter(item => item.importable);
+    if (itemsToImport.length === 0) {
+        showToast('warning', t`No saves to import`, t`Import`);
+        return;
+    }
+
+    showToast('info', t`Importing ${itemsToImport.length} saves...`, t`Import`);
+    const { imported, failed } = await importBundle(bundle, itemsToImport);
+    const errors = failed.map(({ item, error }) => `${item.filename}: ${error.message}`);
+
+    if (imported.length === 0) {
+        if (failed[0]?.error instanceof HttpError && failed[0].error.status === 404) {
+            showToast('error', t`The file plugin can't upload saves. Update the plugin to import bundles`, t`Import`);
+        } else {
+            showToast('error', t`Import failed. Errors: ${errors.join(', ')}`, t`Import`);
+        }
+        return;
+    }
+
+    if (errors.length > 0) {
+        showToast('warning', t`Imported ${imported.length} of ${itemsToImport.length} saves. Errors: ${errors.join(', ')}`, t`Import`);
+    } else {
+        showToast('success', t`Imported ${imported.length} saves`, t`Import`);
+    }
+
+    await openLoadPopup({ chatId: imported[0].chatId });
+}
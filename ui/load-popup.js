@@ -1,12 +1,18 @@
 import { getCurrentChatId } from "../../../../../script.js";
+import { getContext } from "../../../../extensions.js";
 import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../../popup.js';
 import { t } from '../../../../i18n.js';
 
-import { getNormalizedChatId, formatTimestampToDate } from '../utils/utils.js';
-import { getFilesList, parseSaveFilename, groupFilesByChatAndCharacter, getLastCacheForCharacter } from '../core/file-manager.js';
-import { getSlotsState, acquireSlot, updateSlotsList } from '../core/slot-manager.js';
-import { loadSlotCache } from '../core/cache-operations.js';
+import { getNormalizedChatId, formatTimestampToDate, formatFileSize, escapeHtml } from '../utils/utils.js';
+import { getIndexedSaves, parseSaveFilename, groupFilesByChatAndCharacter, getLastCacheForCharacter, setSaveTag, setSaveNote, setSavePinned, verifySaveFile } from '../core/file-manager.js';
+import { getSlotsState, getAvailableSlotIndices, acquireSlot, updateSlotsList } from '../core/slot-manager.js';
+import { loadSlotCache, isCacheCompatibleWithSlot, getSaveProblemLabel } from '../core/cache-operations.js';
+import { getPoolModelFingerprints, getModelDisplayName } from '../core/server-capabilities.js';
+import { deleteSaves } from '../core/orphans.js';
+import { getHistoryHashes, isAnchorInHistory } from '../core/message-anchors.js';
+import { getParentChatName } from '../core/chat-forks.js';
 import { showToast } from './ui.js';
+import { exportSaves } from './bundle-popup.js';
 import { getExtensionSettings, extensionFolderPath, MIN_USAGE_FOR_SAVE } from '../settings.js';
 
 let loadPopupData = {
@@ -15,9 +21,305 @@ let loadPopupData = {
     selectedChatId: null,
     selectedCharacters: {},
     searchQuery: '',
-    currentPopup: null
+    currentPopup: null,
+    // Management mode: saves are marked for deletion instead of selected for loading
+    manageMode: false,
+    // filename -> save entry, across all chats
+    markedSaves: new Map()
 };
 
+/**
+ * Get original chat name from save metadata
+ * @param {string} chatId - Normalized chat ID
+ * @returns {string} Chat name or chatId for saves without metadata
+ */
+function getChatDisplayName(chatId) {
+    const chatCharacters = loadPopupData.chats[chatId] || {};
+    for (const files of Object.values(chatCharacters)) {
+        const named = files.find(file => file.chatName);
+        if (named) {
+            return named.chatName;
+        }
+    }
+    return chatId;
+}
+
+/**
+ * Get name of chat that chat was branched from
+ * Known from chat metadata for the current chat and from saves copied into the branch for the others
+ * @param {string} chatId - Normalized chat ID
+ * @returns {string|null} Parent chat name or null
+ */
+function getChatParentName(chatId) {
+    if (chatId === loadPopupData.currentChatId && getParentChatName()) {
+        return getParentChatName();
+    }
+    const chatCharacters = loadPopupData.chats[chatId] || {};
+    for (const files of Object.values(chatCharacters)) {
+        const forked = files.find(file => file.metadata?.forkedFrom?.chatName);
+        if (forked) {
+            return forked.metadata.forkedFrom.chatName;
+        }
+    }
+    return null;
+}
+
+/**
+ * Render "branch of" label of chat
+ * @param {string} chatId - Normalized chat ID
+ * @returns {string} HTML or empty string if chat is not a branch
+ */
+function renderChatLineage(chatId) {
+    const parentName = getChatParentName(chatId);
+    return parentName
+        ? `<div class="kv-cache-load-chat-lineage"><i class="fa-solid fa-code-branch"></i> ${escapeHtml(t`branch of ${parentName}`)}</div>`
+        : '';
+}
+
+/**
+ * Get original character name from save metadata
+ * @param {Array} characterFiles - Saves of character
+ * @param {string} characterName - Normalized character name
+ * @returns {string} Character name
+ */
+function getCharacterDisplayName(characterFiles, characterName) {
+    return characterFiles.find(file => file.originalCharacterName)?.originalCharacterName || characterName;
+}
+
+/**
+ * Get saves of all chats shown in popup
+ * @returns {Array} Save entries from groupFilesByChatAndCharacter
+ */
+function getAllPopupSaves() {
+    return Object.values(loadPopupData.chats).flatMap(chatCharacters => Object.values(chatCharacters).flat());
+}
+
+/**
+ * Mark saves for deletion or unmark them
+ * @param {Array} files - Save entries from groupFilesByChatAndCharacter
+ * @param {boolean} marked - Mark state
+ * @param {Element|Document} context - Popup element
+ */
+function setSavesMarked(files, marked, context) {
+    for (const file of files) {
+        if (marked) {
+            loadPopupData.markedSaves.set(file.filename, file);
+        } else {
+            loadPopupData.markedSaves.delete(file.filename);
+        }
+    }
+    updateMarkedSaves(context);
+}
+
+/**
+ * Sync checkboxes and toolbar with marked saves
+ * @param {Element|Document} context - Popup element
+ */
+function updateMarkedSaves(context) {
+    const markedSaves = loadPopupData.markedSaves;
+    
+    $(context).find('.kv-cache-load-file-item').each(function() {
+        $(this).find('.kv-cache-load-file-item-checkbox').prop('checked', markedSaves.has($(this).data('filename')));
+    });
+    
+    const chatCharacters = loadPopupData.chats[loadPopupData.selectedChatId] || {};
+    $(context).find('.kv-cache-load-file-group').each(function() {
+        const characterFiles = chatCharacters[$(this).data('character-name')] || [];
+        const allMarked = characterFiles.length > 0 && characterFiles.every(file => markedSaves.has(file.filename));
+        $(this).find('.kv-cache-load-file-group-checkbox').prop('checked', allMarked);
+    });
+    
+    $(context).find('#kv-cache-load-delete-marked').prop('disabled', markedSaves.size === 0);
+    updateLoadPopupSelection(context);
+}
+
+/**
+ * Switch between selecting saves for loading and marking them for deletion
+ * @param {Element|Document} context - Popup element
+ */
+function toggleManageMode(context) {
+    loadPopupData.manageMode = !loadPopupData.manageMode;
+    loadPopupData.markedSaves = new Map();
+    loadPopupData.selectedCharacters = {};
+    
+    $(context).find('#kv-cache-load-popup-content').toggleClass('kv-cache-load-manage-mode', loadPopupData.manageMode);
+    $(context).find('#kv-cache-load-manage').toggleClass('active', loadPopupData.manageMode);
+    $(context).find('.kv-cache-load-file-item').removeClass('selected');
+    updateMarkedSaves(context);
+}
+
+/**
+ * Delete marked saves after confirmation and report the result in one toast
+ * @param {Element|Document} context - Popup element
+ */
+async function deleteMarkedSaves(context) {
+    const files = [...loadPopupData.markedSaves.values()];
+    if (files.length === 0) {
+        return;
+    }
+    
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const protectedCount = files.filter(file => file.tag || file.pinned).length;
+    const protectedWarning = protectedCount > 0 ? `<br>${t`${protectedCount} of them are tagged or pinned.`}` : '';
+    const result = await callGenericPopup(
+        `${t`Delete ${files.length} saves (${formatFileSize(totalSize)})?`}${protectedWarning}`,
+        POPUP_TYPE.CONFIRM
+    );
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+    
+    const deletedCount = await deleteSaves(files.map(file => ({ name: file.filename })));
+    if (deletedCount === files.length) {
+        showToast('success', t`Deleted ${deletedCount} saves (${formatFileSize(totalSize)})`);
+    } else {
+        showToast('warning', t`Deleted ${deletedCount} of ${files.length} saves, the rest could not be deleted`);
+    }
+    
+    await refreshLoadPopup(context);
+}
+
+/**
+ * Reload file list and re-render popup without closing it
+ * Selection and expanded characters are kept (renames don't change timestamps)
+ * @param {Element|Document} context - Popup element
+ * @param {boolean} refresh - List save directory again instead of using file index
+ */
+async function refreshLoadPopup(context = document, refresh = false) {
+    const expandedCharacters = $(context).find('.kv-cache-load-file-group:not(.collapsed)')
+        .map((index, element) => $(element).data('character-name'))
+        .get();
+    
+    loadPopupData.chats = groupFilesByChatAndCharacter(await getIndexedSaves({ refresh }));
+    
+    // Marks of deleted or renamed saves are dropped, the others point to the new entries
+    const marked = loadPopupData.markedSaves;
+    loadPopupData.markedSaves = new Map();
+    for (const file of getAllPopupSaves()) {
+        if (marked.has(file.filename)) {
+            loadPopupData.markedSaves.set(file.filename, file);
+        }
+    }
+    
+    const selectedChatId = loadPopupData.selectedChatId;
+    renderLoadPopupChats(context);
+    if (selectedChatId !== loadPopupData.currentChatId) {
+        $(context).find(`.kv-cache-load-chat-item[data-chat-id="${selectedChatId}"]`).addClass('active');
+    }
+    renderLoadPopupFiles(selectedChatId, context);
+    
+    for (const characterName of expandedCharacters) {
+        $(context).find(`.kv-cache-load-file-group[data-character-name="${characterName}"]`).removeClass('collapsed');
+    }
+    updateMarkedSaves(context);
+}
+
+/**
+ * Ask for tag and apply it to save
+ * @param {Object} file - Save entry from groupFilesByChatAndCharacter
+ * @param {Element|Document} context - Popup element
+ */
+async function editSaveTag(file, context) {
+    const tag = await callGenericPopup(t`Tag for this save:`, POPUP_TYPE.INPUT, file.tag || '');
+    if (typeof tag !== 'string' || !tag.trim() || tag.trim() === file.tag) {
+        return;
+    }
+    
+    try {
+        await setSaveTag(file.filename, tag, file.metadata);
+        showToast('success', t`Tag changed to "${tag.trim()}"`);
+    } catch (e) {
+        console.error(`[KV Cache Manager] Error changing tag of ${file.filename}:`, e);
+        showToast('error', t`Failed to update save: ${e.message}`);
+    }
+    
+    await refreshLoadPopup(context);
+}
+
+/**
+ * Turn autosave into tagged save (excluded from rotation) or back
+ * @param {Object} file - Save entry from groupFilesByChatAndCharacter
+ * @param {Element|Document} context - Popup element
+ */
+async function toggleSaveKept(file, context) {
+    if (!file.tag) {
+        await editSaveTag(file, context);
+        return;
+    }
+    
+    const confirmed = await callGenericPopup(
+        t`Remove tag "${file.tag}"? The save becomes an autosave and may be deleted by rotation.`,
+        POPUP_TYPE.CONFIRM
+    );
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+    
+    try {
+        await setSaveTag(file.filename, null, file.metadata);
+        showToast('success', t`Save turned into autosave`);
+    } catch (e) {
+        console.error(`[KV Cache Manager] Error removing tag of ${file.filename}:`, e);
+        showToast('error', t`Failed to update save: ${e.message}`);
+    }
+    
+    await refreshLoadPopup(context);
+}
+
+/**
+ * Pin save (never deleted by rotation) or unpin it
+ * @param {Object} file - Save entry from groupFilesByChatAndCharacter
+ * @param {Element|Document} context - Popup element
+ */
+async function toggleSavePinned(file, context) {
+    try {
+        await setSavePinned(file.filename, !file.pinned, file.metadata);
+        showToast('success', file.pinned ? t`Save unpinned` : t`Save pinned`);
+    } catch (e) {
+        console.error(`[KV Cache Manager] Error pinning ${file.filename}:`, e);
+        showToast('error', t`Failed to update save: ${e.message}`);
+    }
+    
+    await refreshLoadPopup(context);
+}
+
+/**
+ * Check save file against the size and checksum recorded when it was made
+ * @param {Object} file - Save entry from groupFilesByChatAndCharacter
+ * @param {Element|Document} context - Popup element
+ */
+async function verifySave(file, context) {
+    const { valid, problem } = await verifySaveFile(file.filename);
+    if (valid) {
+        showToast('success', t`Save is intact`);
+    } else {
+        showToast('error', t`Save is damaged: ${getSaveProblemLabel(problem)}`);
+    }
+    
+    await refreshLoadPopup(context);
+}
+
+/**
+ * Ask for note and store it in save metadata
+ * @param {Object} file - Save entry from groupFilesByChatAndCharacter
+ * @param {Element|Document} context - Popup element
+ */
+async function editSaveNote(file, context) {
+    const note = await callGenericPopup(t`Note for this save (empty - remove):`, POPUP_TYPE.INPUT, file.note || '', { rows: 4 });
+    if (typeof note !== 'string' || note.trim() === (file.note || '')) {
+        return;
+    }
+    
+    try {
+        await setSaveNote(file.filename, note, file.metadata);
+    } catch (e) {
+        console.error(`[KV Cache Manager] Error saving note of ${file.filename}:`, e);
+        showToast('error', t`Failed to update save: ${e.message}`);
+    }
+    
+    await refreshLoadPopup(context);
+}
+
 function setupLoadPopupHandlers() {
     $(document).off('click', '.kv-cache-load-chat-item-current').on('click', '.kv-cache-load-chat-item-current', function() {
         const popupDlg = $(this).closest('.popup, dialog');
@@ -32,6 +334,42 @@ function setupLoadPopupHandlers() {
         }
     });
     
+    $(document).off('click', '#kv-cache-load-refresh').on('click', '#kv-cache-load-refresh', function() {
+        const popupDlg = $(this).closest('.popup, dialog');
+        refreshLoadPopup(popupDlg.length ? popupDlg[0] : document, true);
+    });
+    
+    $(document).off('click', '#kv-cache-load-manage').on('click', '#kv-cache-load-manage', function() {
+        const popupDlg = $(this).closest('.popup, dialog');
+        toggleManageMode(popupDlg.length ? popupDlg[0] : document);
+    });
+    
+    $(document).off('click', '#kv-cache-load-mark-chat').on('click', '#kv-cache-load-mark-chat', function() {
+        const popupDlg = $(this).closest('.popup, dialog');
+        const saves = Object.values(loadPopupData.chats[loadPopupData.selectedChatId] || {}).flat();
+        const allMarked = saves.every(file => loadPopupData.markedSaves.has(file.filename));
+        setSavesMarked(saves, !allMarked, popupDlg.length ? popupDlg[0] : document);
+    });
+    
+    $(document).off('click', '#kv-cache-load-delete-marked').on('click', '#kv-cache-load-delete-marked', function() {
+        const popupDlg = $(this).closest('.popup, dialog');
+        deleteMarkedSaves(popupDlg.length ? popupDlg[0] : document);
+    });
+    
+    $(document).off('click', '#kv-cache-load-export-chat').on('click', '#kv-cache-load-export-chat', function() {
+        const chatId = loadPopupData.selectedChatId;
+        const saves = Object.values(loadPopupData.chats[chatId] || {}).flat();
+        exportSaves(saves, chatId);
+    });
+    
+    $(document).off('click', '#kv-cache-load-export-selected').on('click', '#kv-cache-load-export-selected', function() {
+        const chatCharacters = loadPopupData.chats[loadPopupData.selectedChatId] || {};
+        const saves = Object.entries(loadPopupData.selectedCharacters)
+            .map(([characterName, timestamp]) => (chatCharacters[characterName] || []).find(file => file.timestamp === timestamp))
+            .filter(Boolean);
+        exportSaves(saves, loadPopupData.selectedChatId);
+    });
+    
     $(document).off('input', '#kv-cache-load-search-input').on('input', '#kv-cache-load-search-input', function() {
         const query = $(this).val();
         const popupDlg = $(this).closest('.popup, dialog');
@@ -39,8 +377,13 @@ function setupLoadPopupHandlers() {
     });
 }
 
-export async function openLoadPopup() {
-    const filesList = await getFilesList();
+/**
+ * Open load popup
+ * @param {Object} options - Options
+ * @param {string|null} options.chatId - Normalized ID of chat to show (default: current chat)
+ */
+export async function openLoadPopup(options = {}) {
+    const filesList = await getIndexedSaves();
     
     if (!filesList || filesList.length === 0) {
         showToast('warning', 'No saved caches found for loading');
@@ -52,6 +395,8 @@ export async function openLoadPopup() {
     loadPopupData.selectedChatId = null;
     loadPopupData.selectedCharacters = {};
     loadPopupData.searchQuery = '';
+    loadPopupData.manageMode = false;
+    loadPopupData.markedSaves = new Map();
     
     const popupHTML = await $.get(`${extensionFolderPath}/load-popup.html`);
     
@@ -91,7 +436,8 @@ export async function openLoadPopup() {
                 setupLoadPopupHandlers();
                 
                 renderLoadPopupChats(popup.dlg);
-                selectLoadPopupChat('current', popup.dlg);
+                const initialChatId = options.chatId && options.chatId !== loadPopupData.currentChatId ? options.chatId : 'current';
+                selectLoadPopupChat(initialChatId, popup.dlg);
                 
                 const loadButton = popup.okButton;
                 if (loadButton) {
@@ -137,11 +483,13 @@ export function renderLoadPopupChats(context = document) {
     const rawChatId = getCurrentChatId() || 'unknown';
     $(context).find(".kv-cache-load-chat-item-current .kv-cache-load-chat-name-text").text(rawChatId + ' ' + t`[current]`);
     $(context).find(".kv-cache-load-chat-item-current .kv-cache-load-chat-count").text(currentCount > 0 ? currentCount : '-');
+    $(context).find(".kv-cache-load-chat-item-current .kv-cache-load-chat-lineage").remove();
+    $(context).find(".kv-cache-load-chat-item-current .kv-cache-load-chat-name").after(renderChatLineage(currentChatId));
     
     const searchQuery = loadPopupData.searchQuery.toLowerCase();
     const filteredChats = Object.keys(chats).filter(chatId => {
         if (chatId === currentChatId) return true;
-        if (searchQuery && !chatId.toLowerCase().includes(searchQuery)) return false;
+        if (searchQuery && !chatId.toLowerCase().includes(searchQuery) && !getChatDisplayName(chatId).toLowerCase().includes(searchQuery)) return false;
         return true;
     });
     
@@ -157,8 +505,9 @@ export function renderLoadPopupChats(context = document) {
             <div class="kv-cache-load-chat-item" data-chat-id="${chatId}">
                 <div class="kv-cache-load-chat-name">
                     <i class="fa-solid fa-comment" style="margin-right: 5px;"></i>
-                    ${chatId}
+                    ${escapeHtml(getChatDisplayName(chatId))}
                 </div>
+                ${renderChatLineage(chatId)}
                 <div class="kv-cache-load-chat-count">${totalFiles}</div>
             </div>
         `);
@@ -188,6 +537,8 @@ export function selectLoadPopupChat(chatId, context = document) {
     loadPopupData.selectedCharacters = {};
     $(context).find("#kv-cache-load-confirm-button").prop('disabled', true);
     $(context).find("#kv-cache-load-selected-info").text('No characters selected');
+    // Marks are kept across chats
+    updateMarkedSaves(context);
 }
 
 export function renderLoadPopupFiles(chatId, context = document) {
@@ -210,7 +561,8 @@ export function renderLoadPopupFiles(chatId, context = document) {
     
     const filteredCharacters = characterNames.filter(characterName => {
         if (!searchQuery) return true;
-        return characterName.toLowerCase().includes(searchQuery);
+        const displayName = getCharacterDisplayName(chatCharacters[characterName], characterName);
+        return characterName.toLowerCase().includes(searchQuery) || displayName.toLowerCase().includes(searchQuery);
     });
     
     if (filteredCharacters.length === 0) {
@@ -241,6 +593,10 @@ export function renderLoadPopupFiles(chatId, context = document) {
     
     filesList.empty();
     
+    const poolModelFingerprints = getPoolModelFingerprints();
+    // Anchors can only be checked against the open chat
+    const historyHashes = isCurrentChat ? getHistoryHashes(getContext()?.chat) : null;
+    
     for (const characterName of filteredCharacters) {
         const characterFiles = chatCharacters[characterName];
         const saveCount = characterFiles.length;
@@ -250,10 +606,12 @@ export function renderLoadPopupFiles(chatId, context = document) {
             <div class="kv-cache-load-file-group collapsed" data-character-name="${characterName}">
                 <div class="kv-cache-load-file-group-header">
                     <div class="kv-cache-load-file-group-title">
+                        <input type="checkbox" class="kv-cache-load-file-group-checkbox kv-cache-load-manage-only" title="${t`Mark all saves of this character`}" />
                         <i class="fa-solid fa-user"></i>
-                        ${characterName}
+                        ${escapeHtml(getCharacterDisplayName(characterFiles, characterName))}
                     </div>
                     <div class="kv-cache-load-file-group-info">
+                        <button class="kv-cache-load-file-action kv-cache-load-file-group-export" title="${t`Export saves of this character`}"><i class="fa-solid fa-file-export"></i></button>
                         <span>${t`${saveCount} save${savePlural}`}</span>
                         <i class="fa-solid fa-chevron-down kv-cache-load-file-group-toggle"></i>
                     </div>
@@ -266,19 +624,100 @@ export function renderLoadPopupFiles(chatId, context = document) {
         const content = characterElement.find('.kv-cache-load-file-group-content');
         for (const file of characterFiles) {
             const dateTime = formatTimestampToDate(file.timestamp);
-            const tagLabel = file.tag ? t` [tag: ${file.tag}]` : '';
+            const tagLabel = file.tag ? escapeHtml(t` [tag: ${file.tag}]`) : '';
+            const pinLabel = file.pinned ? ` <i class="fa-solid fa-thumbtack" title="${t`Pinned`}"></i>` : '';
+            
+            const details = [];
+            if (file.messageCount !== null) {
+                details.push(t`messages: ${file.messageCount}`);
+            }
+            if (file.nSaved !== null) {
+                details.push(t`tokens: ${file.nSaved}`);
+            }
+            const detailsLabel = details.length > 0
+                ? `<span class="kv-cache-load-file-item-details">${details.join(', ')}</span>`
+                : '';
+            const noteLabel = file.note
+                ? `<div class="kv-cache-load-file-item-note"><i class="fa-solid fa-note-sticky"></i> ${escapeHtml(file.note)}</div>`
+                : '';
+            
+            // Saves without fingerprint predate fingerprints and can't be checked
+            const isIncompatible = file.modelFingerprint && poolModelFingerprints.size > 0 && !poolModelFingerprints.has(file.modelFingerprint);
+            const modelName = file.modelFingerprint ? getModelDisplayName(file.modelFingerprint) : '';
+            const modelLabel = isIncompatible
+                ? `<span class="kv-cache-load-file-item-model-mismatch" title="${escapeHtml(modelName)}"><i class="fa-solid fa-triangle-exclamation"></i> ${t`different model: ${escapeHtml(modelName)}`}</span>`
+                : '';
+            
+            const isDiverged = historyHashes && file.anchor && !isAnchorInHistory(file.anchor, historyHashes);
+            const divergedLabel = isDiverged
+                ? `<span class="kv-cache-load-file-item-diverged" title="${t`Autoload skips this save`}"><i class="fa-solid fa-code-branch"></i> ${t`messages it was made after were deleted or edited`}</span>`
+                : '';
+            
+            const forkedFrom = file.metadata?.forkedFrom;
+            const forkedLabel = forkedFrom
+                ? `<span class="kv-cache-load-file-item-details"><i class="fa-solid fa-code-branch"></i> ${escapeHtml(t`copied from ${forkedFrom.chatName}`)}</span>`
+                : '';
+            
+            const corruptedLabel = file.corrupted
+                ? `<span class="kv-cache-load-file-item-corrupted"><i class="fa-solid fa-heart-crack"></i> ${t`damaged: ${getSaveProblemLabel(file.corrupted)}`}</span>`
+                : '';
+            
+            const editTagButton = file.tag
+                ? `<button class="kv-cache-load-file-action kv-cache-load-file-action-tag" title="${t`Change tag`}"><i class="fa-solid fa-pen"></i></button>`
+                : '';
+            const keepTitle = file.tag ? t`Turn into autosave` : t`Keep: add tag so rotation never deletes this save`;
+            const pinTitle = file.pinned ? t`Unpin` : t`Pin: rotation never deletes this save`;
             
             const timestampItem = $(`
-                <div class="kv-cache-load-file-item" data-character-name="${characterName}" data-timestamp="${file.timestamp}" data-filename="${file.filename}">
+                <div class="kv-cache-load-file-item${isIncompatible ? ' incompatible' : ''}${file.corrupted ? ' corrupted' : ''}" data-character-name="${characterName}" data-timestamp="${file.timestamp}" data-filename="${file.filename}">
+                    <input type="checkbox" class="kv-cache-load-file-item-checkbox kv-cache-load-manage-only" />
                     <div class="kv-cache-load-file-item-info">
                         <div class="kv-cache-load-file-item-name">
                             <i class="fa-solid fa-calendar"></i>
-                            ${dateTime}${tagLabel}
+                            ${dateTime}${tagLabel}${pinLabel}
                         </div>
+                        ${detailsLabel}
+                        ${forkedLabel}
+                        ${modelLabel}
+                        ${divergedLabel}
+                        ${corruptedLabel}
+                        ${noteLabel}
+                    </div>
+                    <div class="kv-cache-load-file-item-actions">
+                        ${editTagButton}
+                        <button class="kv-cache-load-file-action kv-cache-load-file-action-keep${file.tag ? ' active' : ''}" title="${keepTitle}"><i class="fa-solid fa-bookmark"></i></button>
+                        <button class="kv-cache-load-file-action kv-cache-load-file-action-pin${file.pinned ? ' active' : ''}" title="${pinTitle}"><i class="fa-solid fa-thumbtack"></i></button>
+                        <button class="kv-cache-load-file-action kv-cache-load-file-action-note" title="${t`Edit note`}"><i class="fa-solid fa-note-sticky"></i></button>
+                        <button class="kv-cache-load-file-action kv-cache-load-file-action-verify" title="${t`Check integrity`}"><i class="fa-solid fa-shield-halved"></i></button>
                     </div>
                 </div>
             `);
             
+            const getPopupContext = () => {
+                const popupDlg = timestampItem.closest('.popup, dialog');
+                return popupDlg.length ? popupDlg[0] : document;
+            };
+            timestampItem.find('.kv-cache-load-file-action-tag').on('click', function(e) {
+                e.stopPropagation();
+                editSaveTag(file, getPopupContext());
+            });
+            timestampItem.find('.kv-cache-load-file-action-keep').on('click', function(e) {
+                e.stopPropagation();
+                toggleSaveKept(file, getPopupContext());
+            });
+            timestampItem.find('.kv-cache-load-file-action-pin').on('click', function(e) {
+                e.stopPropagation();
+                toggleSavePinned(file, getPopupContext());
+            });
+            timestampItem.find('.kv-cache-load-file-action-note').on('click', function(e) {
+                e.stopPropagation();
+                editSaveNote(file, getPopupContext());
+            });
+            timestampItem.find('.kv-cache-load-file-action-verify').on('click', function(e) {
+                e.stopPropagation();
+                verifySave(file, getPopupContext());
+            });
+            
             const isSelected = loadPopupData.selectedCharacters[characterName] === file.timestamp;
             if (isSelected) {
                 timestampItem.addClass('selected');
@@ -287,6 +726,11 @@ export function renderLoadPopupFiles(chatId, context = document) {
             timestampItem.on('click', function(e) {
                 e.stopPropagation();
                 
+                if (loadPopupData.manageMode) {
+                    setSavesMarked([file], !loadPopupData.markedSaves.has(file.filename), getPopupContext());
+                    return;
+                }
+                
                 const isCurrentlySelected = loadPopupData.selectedCharacters[characterName] === file.timestamp;
                 
                 if (isCurrentlySelected) {
@@ -308,6 +752,17 @@ export function renderLoadPopupFiles(chatId, context = document) {
             content.append(timestampItem);
         }
         
+        characterElement.find('.kv-cache-load-file-group-checkbox').on('click', function(e) {
+            e.stopPropagation();
+            const popupDlg = characterElement.closest('.popup, dialog');
+            setSavesMarked(characterFiles, $(this).prop('checked'), popupDlg.length ? popupDlg[0] : document);
+        });
+        
+        characterElement.find('.kv-cache-load-file-group-export').on('click', function(e) {
+            e.stopPropagation();
+            exportSaves(characterFiles, characterName);
+        });
+        
         characterElement.find('.kv-cache-load-file-group-header').on('click', function(e) {
             if ($(e.target).closest('.kv-cache-load-file-item').length) return;
             
@@ -332,6 +787,18 @@ export function updateLoadPopupSelection(context = document) {
     
     const loadButton = loadPopupData.currentPopup?.okButton;
     
+    if (loadPopupData.manageMode) {
+        const markedFiles = [...loadPopupData.markedSaves.values()];
+        const markedSize = markedFiles.reduce((sum, file) => sum + file.size, 0);
+        selectedInfo.text(markedFiles.length > 0
+            ? t`Marked for deletion: ${markedFiles.length} saves (${formatFileSize(markedSize)})`
+            : t`Click saves to mark them for deletion`);
+        if (loadButton) {
+            loadButton.disabled = true;
+        }
+        return;
+    }
+    
     if (selectedCount === 0) {
         selectedInfo.text('No characters selected');
         if (loadButton) {
@@ -362,8 +829,7 @@ export async function loadSelectedCache() {
     let errors = [];
     
     const selectedCount = Object.keys(selectedCharacters).length;
-    const slotsState = getSlotsState();
-    const totalSlots = slotsState.length;
+    const totalSlots = getAvailableSlotIndices().length;
     
     if (selectedCount > totalSlots) {
         showToast('error', t`Selected ${selectedCount} characters, but only ${totalSlots} slots available. Select no more than ${totalSlots} characters.`);
@@ -432,6 +898,11 @@ export async function loadSelectedCache() {
             continue;
         }
         
+        if (!isCacheCompatibleWithSlot(slotIndex, character.fileToLoad.filename)) {
+            errors.push(t`${character.characterName}: save was made with a different model`);
+            continue;
+        }
+        
         try {
             const loaded = await loadSlotCache(slotIndex, character.fileToLoad.filename);
             
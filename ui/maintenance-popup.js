@@ -0,0 +1,151 @@
+import { getContext } from "../../../../extensions.js";
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../../popup.js';
+import { t } from '../../../../i18n.js';
+
+import { formatFileSize, formatTimestampToDate, escapeHtml } from '../utils/utils.js';
+import { findOrphanedSaves, findSavesOf, deleteSaves, ORPHAN_REASONS } from '../core/orphans.js';
+import { showToast } from './ui.js';
+
+/**
+ * Group orphaned saves by chat for display
+ * @param {Array} files - Orphaned saves from findOrphanedSaves
+ * @returns {Array<{chatId: string, chatName: string, files: Array, size: number}>}
+ */
+function groupOrphansByChat(files) {
+    const groupsByChat = new Map();
+    for (const file of files) {
+        if (!groupsByChat.has(file.chatId)) {
+            groupsByChat.set(file.chatId, { chatId: file.chatId, chatName: file.chatName || file.chatId, files: [], size: 0 });
+        }
+        const group = groupsByChat.get(file.chatId);
+        group.files.push(file);
+        group.size += file.size;
+    }
+    return [...groupsByChat.values()];
+}
+
+/**
+ * Show saves of deleted chats and characters and delete the checked ones
+ */
+export async function openOrphanedSavesPopup() {
+    let orphans;
+    try {
+        orphans = await findOrphanedSaves();
+    } catch (e) {
+        console.error('[KV Cache Manager] Error searching orphaned saves:', e);
+        showToast('error', t`Failed to check saves: ${e.message}`);
+        return;
+    }
+
+    if (orphans.files.length === 0) {
+        await callGenericPopup(t`No saves of deleted chats or characters found.`, POPUP_TYPE.TEXT);
+        return;
+    }
+
+    const chatGroups = groupOrphansByChat(orphans.files);
+    const groupsHtml = chatGroups.map((group, index) => {
+        const items = group.files.map(file => {
+            const characterName = escapeHtml(file.originalCharacterName || file.characterName);
+            const reason = file.reason === ORPHAN_REASONS.CHAT_DELETED ? t`chat deleted` : t`character deleted`;
+            return `<li title="${escapeHtml(file.name)}">${characterName}, ${formatTimestampToDate(file.timestamp)} - ${formatFileSize(file.size)} (${reason})</li>`;
+        }).join('');
+        return `
+            <div class="kv-cache-orphans-group">
+                <label class="checkbox_label">
+                    <input type="checkbox" class="kv-cache-orphans-group-checkbox" data-index="${index}" checked />
+                    <strong>${escapeHtml(group.chatName)}</strong> - ${formatFileSize(group.size)}
+                </label>
+                <ul>${items}</ul>
+            </div>
+        `;
+    }).join('');
+
+    let selectedFiles = [];
+
+    const result = await callGenericPopup(
+        `<h3>${t`Orphaned Saves`}</h3>
+        <p>${t`${orphans.files.length} saves of deleted chats and characters take ${formatFileSize(orphans.totalSize)}.`}</p>
+        <div class="kv-cache-orphans-list">${groupsHtml}</div>`,
+        POPUP_TYPE.TEXT,
+        '',
+        {
+            okButton: t`Delete Checked`,
+            cancelButton: true,
+            allowVerticalScrolling: true,
+            onClosing: async (popup) => {
+                if (popup.result === POPUP_RESULT.AFFIRMATIVE) {
+                    selectedFiles = $(popup.content).find('.kv-cache-orphans-group-checkbox:checked')
+                        .map((i, element) => chatGroups[$(element).data('index')].files)
+                        .get();
+                }
+                return true;
+            }
+        }
+    );
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE || selectedFiles.length === 0) {
+        return;
+    }
+
+    const deletedCount = await deleteSaves(selectedFiles);
+    showToast('success', t`Deleted ${deletedCount} orphaned saves`);
+}
+
+/**
+ * Offer to delete saves of chat or character that was just deleted in SillyTavern
+ * @param {Object} filter - Filter for findSavesOf
+ * @param {string} message - Question for the user (number and size of saves are appended)
+ */
+async function offerDeleteSaves(filter, message) {
+    try {
+        const files = await findSavesOf(filter);
+        if (files.length === 0) {
+            return;
+        }
+
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+        const result = await callGenericPopup(
+            `${message}<br>${t`Saves: ${files.length}, ${formatFileSize(totalSize)}`}`,
+            POPUP_TYPE.CONFIRM
+        );
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            return;
+        }
+
+        const deletedCount = await deleteSaves(files);
+        showToast('success', t`Deleted ${deletedCount} saves`);
+    } catch (e) {
+        console.error('[KV Cache Manager] Error deleting saves of deleted chat or character:', e);
+    }
+}
+
+/**
+ * CHAT_DELETED / GROUP_CHAT_DELETED handler
+ * @param {string} chatName - Name of deleted chat
+ */
+export async function onChatDeleted(chatName) {
+    if (!chatName || typeof chatName !== 'string') {
+        return;
+    }
+    const name = chatName.replace(/\.jsonl$/, '');
+    await offerDeleteSaves({ chatName: name }, t`Chat "${escapeHtml(name)}" was deleted. Delete its KV caches too?`);
+}
+
+/**
+ * CHARACTER_DELETED handler
+ * @param {Object} data - Event data: { id, character }
+ */
+export async function onCharacterDeleted(data) {
+    const name = data?.character?.name;
+    if (!name) {
+        return;
+    }
+
+    // Saves are identified by name, so they still belong to another character with the same name
+    const characters = getContext()?.characters || [];
+    if (characters.some(character => character && character !== data.character && character.name === name)) {
+        return;
+    }
+
+    await offerDeleteSaves({ characterName: name }, t`Character "${escapeHtml(name)}" was deleted. Delete their KV caches in all chats too?`);
+}
@@ -0,0 +1,229 @@
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../../popup.js';
+import { t } from '../../../../i18n.js';
+
+import { formatFileSize, formatTimestampToDate, escapeHtml } from '../utils/utils.js';
+import { deleteRotationPlan } from '../core/file-manager.js';
+import { collectStorageStats, planGroupRotation, STORAGE_GROUPINGS } from '../core/storage-stats.js';
+import { deleteSaves } from '../core/orphans.js';
+import { getModelDisplayName } from '../core/server-capabilities.js';
+import { showToast } from './ui.js';
+import { getExtensionSettings } from '../settings.js';
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+let storagePopupData = {
+    stats: null,
+    grouping: STORAGE_GROUPINGS.CHAT
+};
+
+/**
+ * Name of group for display
+ * @param {Object} group - Group from collectStorageStats
+ * @param {string} grouping - One of STORAGE_GROUPINGS
+ * @returns {string}
+ */
+function getGroupDisplayName(group, grouping) {
+    if (grouping === STORAGE_GROUPINGS.MODEL) {
+        return group.key ? (group.label || getModelDisplayName(group.key)) : t`Unknown model`;
+    }
+    return group.label || group.key;
+}
+
+function renderSummary(stats) {
+    const budgetGb = parseFloat(getExtensionSettings().storageQuotaGb) || 0;
+    const budgetLabel = budgetGb > 0
+        ? ` ${t`of ${formatFileSize(budgetGb * BYTES_PER_GB)} budget`}`
+        : '';
+    const unrecognizedLabel = stats.unrecognized.count > 0
+        ? `<p class="kv-cache-storage-note">${t`Including ${stats.unrecognized.count} files with unrecognized names (${formatFileSize(stats.unrecognized.size)})`}</p>`
+        : '';
+
+    return `<p><strong>${t`Total: ${formatFileSize(stats.size)}${budgetLabel} in ${stats.count} saves`}</strong></p>${unrecognizedLabel}`;
+}
+
+function renderGroups(stats) {
+    const grouping = storagePopupData.grouping;
+    const groups = stats.groups[grouping];
+    if (groups.length === 0) {
+        return `<p class="kv-cache-storage-note">${t`No saves`}</p>`;
+    }
+
+    const rows = groups.map((group, index) => {
+        const share = stats.size > 0 ? (group.size / stats.size) * 100 : 0;
+        const protectedLabel = group.protectedCount > 0 ? `, ${t`protected: ${group.protectedCount}`}` : '';
+        return `
+            <div class="kv-cache-storage-row" data-index="${index}">
+                <div class="kv-cache-storage-row-info">
+                    <div class="kv-cache-storage-row-name" title="${escapeHtml(String(group.key))}">${escapeHtml(getGroupDisplayName(group, grouping))}</div>
+                    <div class="kv-cache-storage-row-details">${formatFileSize(group.size)} - ${t`saves: ${group.count}`}${protectedLabel}</div>
+                    <div class="kv-cache-storage-bar"><div style="width: ${share.toFixed(1)}%;"></div></div>
+                </div>
+                <div class="kv-cache-storage-row-actions">
+                    <button class="kv-cache-storage-action kv-cache-storage-action-rotate menu_button" title="${t`Run rotation on these saves`}"><i class="fa-solid fa-rotate"></i></button>
+                    <button class="kv-cache-storage-action kv-cache-storage-action-delete menu_button" title="${t`Delete all these saves`}"><i class="fa-solid fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    return `<div class="kv-cache-storage-list">${rows}</div>`;
+}
+
+function renderLargest(stats) {
+    const rows = stats.largest.map((file, index) => {
+        const characterName = file.parsed.originalCharacterName || file.parsed.characterName;
+        const chatName = file.parsed.chatName || file.parsed.chatId;
+        return `
+            <div class="kv-cache-storage-row" data-largest-index="${index}">
+                <div class="kv-cache-storage-row-info" title="${escapeHtml(file.name)}">
+                    <div class="kv-cache-storage-row-name">${escapeHtml(characterName)} - ${escapeHtml(chatName)}</div>
+                    <div class="kv-cache-storage-row-details">${formatFileSize(file.size)}, ${formatTimestampToDate(file.parsed.timestamp)}</div>
+                </div>
+                <div class="kv-cache-storage-row-actions">
+                    <button class="kv-cache-storage-action kv-cache-storage-action-delete-save menu_button" title="${t`Delete save`}"><i class="fa-solid fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    return `<div class="kv-cache-storage-list">${rows}</div>`;
+}
+
+function renderGrowth(stats) {
+    const maxTotal = Math.max(...stats.growth.map(day => day.total), 1);
+    const bars = stats.growth.map(day => {
+        const height = (day.total / maxTotal) * 100;
+        const title = `${day.date}: ${formatFileSize(day.total)} (+${formatFileSize(day.added)})`;
+        return `<div class="kv-cache-storage-growth-bar${day.added > 0 ? ' added' : ''}" style="height: ${height.toFixed(1)}%;" title="${title}"></div>`;
+    }).join('');
+
+    return `<div class="kv-cache-storage-growth">${bars}</div>
+        <p class="kv-cache-storage-note">${t`Size of current saves by day they were made, last ${stats.growth.length} days`}</p>`;
+}
+
+function renderStoragePopup(context) {
+    const stats = storagePopupData.stats;
+    $(context).find('#kv-cache-storage-content').html(`
+        ${renderSummary(stats)}
+        <div class="kv-cache-storage-section">
+            <select id="kv-cache-storage-grouping" class="text_pole">
+                <option value="${STORAGE_GROUPINGS.CHAT}">${t`By chat`}</option>
+                <option value="${STORAGE_GROUPINGS.CHARACTER}">${t`By character`}</option>
+                <option value="${STORAGE_GROUPINGS.MODEL}">${t`By model`}</option>
+            </select>
+            ${renderGroups(stats)}
+        </div>
+        <div class="kv-cache-storage-section">
+            <h4>${t`Largest Saves`}</h4>
+            ${renderLargest(stats)}
+        </div>
+        <div class="kv-cache-storage-section">
+            <h4>${t`Growth`}</h4>
+            ${renderGrowth(stats)}
+        </div>
+    `);
+    $(context).find('#kv-cache-storage-grouping').val(storagePopupData.grouping);
+}
+
+async function refreshStoragePopup(context) {
+    storagePopupData.stats = await collectStorageStats();
+    renderStoragePopup(context);
+}
+
+/**
+ * Run rotation on saves of group, after showing what it would delete
+ * @param {Object} group - Group from collectStorageStats
+ * @param {Element} context - Popup content
+ */
+async function rotateGroup(group, context) {
+    const plan = await planGroupRotation(group);
+    const filesCount = plan.reduce((sum, { files }) => sum + files.length, 0);
+    if (filesCount === 0) {
+        showToast('info', t`Rotation would not delete any of these saves`, t`Rotation`);
+        return;
+    }
+
+    const size = plan.reduce((sum, { files }) => sum + files.reduce((filesSum, file) => filesSum + file.size, 0), 0);
+    const result = await callGenericPopup(t`Rotation would delete ${filesCount} saves (${formatFileSize(size)}). Delete them?`, POPUP_TYPE.CONFIRM);
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    const deletedCount = await deleteRotationPlan(plan);
+    showToast('success', t`Deleted ${deletedCount} saves`, t`Rotation`);
+    await refreshStoragePopup(context);
+}
+
+/**
+ * Delete saves after confirmation
+ * @param {Array<{name: string, size: number}>} files - Saves to delete
+ * @param {number} protectedCount - How many of them are tagged or pinned
+ * @param {Element} context - Popup content
+ */
+async function deleteGroupSaves(files, protectedCount, context) {
+    const size = files.reduce((sum, file) => sum + file.size, 0);
+    const protectedWarning = protectedCount > 0 ? `<br>${t`${protectedCount} of them are tagged or pinned.`}` : '';
+    const result = await callGenericPopup(
+        `${t`Delete ${files.length} saves (${formatFileSize(size)})?`}${protectedWarning}`,
+        POPUP_TYPE.CONFIRM
+    );
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    const deletedCount = await deleteSaves(files);
+    showToast('success', t`Deleted ${deletedCount} saves`);
+    await refreshStoragePopup(context);
+}
+
+function bindStoragePopupEvents(context) {
+    const content = $(context);
+
+    content.on('change', '#kv-cache-storage-grouping', function() {
+        storagePopupData.grouping = $(this).val();
+        renderStoragePopup(context);
+    });
+
+    content.on('click', '.kv-cache-storage-action-rotate', function() {
+        const group = storagePopupData.stats.groups[storagePopupData.grouping][$(this).closest('.kv-cache-storage-row').data('index')];
+        rotateGroup(group, context);
+    });
+
+    content.on('click', '.kv-cache-storage-action-delete', function() {
+        const group = storagePopupData.stats.groups[storagePopupData.grouping][$(this).closest('.kv-cache-storage-row').data('index')];
+        deleteGroupSaves(group.files, group.protectedCount, context);
+    });
+
+    content.on('click', '.kv-cache-storage-action-delete-save', function() {
+        const file = storagePopupData.stats.largest[$(this).closest('.kv-cache-storage-row').data('largest-index')];
+        deleteGroupSaves([file], file.parsed.tag || file.parsed.pinned ? 1 : 0, context);
+    });
+}
+
+/**
+ * Show disk usage of saves by chat, character and model, the largest saves and growth,
+ * with actions to rotate or delete any group
+ */
+export async function openStoragePopup() {
+    storagePopupData.stats = await collectStorageStats({ refresh: true });
+
+    if (storagePopupData.stats.count === 0) {
+        await callGenericPopup(t`No saved caches found`, POPUP_TYPE.TEXT);
+        return;
+    }
+
+    await callGenericPopup(
+        `<h3>${t`Storage Usage`}</h3><div id="kv-cache-storage-content" class="kv-cache-storage"></div>`,
+        POPUP_TYPE.TEXT,
+        '',
+        {
+            okButton: t`Close`,
+            allowVerticalScrolling: true,
+            wide: true,
+            onOpen: (popup) => {
+                bindStoragePopupEvents(popup.content);
+                renderStoragePopup(popup.content);
+            }
+        }
+    );
+}
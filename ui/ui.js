@@ -3,11 +3,19 @@ import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../../../scrip
 import { t } from '../../../../i18n.js';
 
 import { getExtensionSettings } from '../settings.js';
-import { getSlotsState, initializeSlots } from '../core/slot-manager.js';
+import { getSlotsState, initializeSlots, setSlotPinned, updateSlotsList } from '../core/slot-manager.js';
 import { saveCache, saveCharacterCache } from '../core/cache-operations.js';
+import { getServerUrls } from '../core/server-pool.js';
+import { getServerCapabilities, isSlotSaveAvailable, CAPABILITY_ISSUES } from '../core/server-capabilities.js';
+import { getPendingOperations } from '../core/operation-queue.js';
+import { planRotation, deleteRotationPlan } from '../core/file-manager.js';
+import { getNormalizedChatId, formatTimestampToDate, escapeHtml } from '../utils/utils.js';
 import { preloadCharactersCache } from './preload-cache.js';
 import { openLoadPopup } from './load-popup.js';
 import { openPreloadPopup } from './preload-popup.js';
+import { openOrphanedSavesPopup } from './maintenance-popup.js';
+import { openImportBundlePopup } from './bundle-popup.js';
+import { openStoragePopup } from './storage-popup.js';
 
 export function showToast(type, message, title = 'KV Cache Manager') {
     const extensionSettings = getExtensionSettings();
@@ -44,11 +52,95 @@ export function disableAllSaveButtons() {
 }
 
 export function enableAllSaveButtons() {
-    $("#kv-cache-save-button").prop('disabled', false);
-    $("#kv-cache-save-now-button").prop('disabled', false);
+    const slotSaveAvailable = isSlotSaveAvailable();
+    $("#kv-cache-save-button").prop('disabled', !slotSaveAvailable);
+    $("#kv-cache-save-now-button").prop('disabled', !slotSaveAvailable);
     $(".kv-cache-save-slot-button").prop('disabled', false);
 }
 
+/**
+ * Get guided fix for server capability issue
+ * @param {string} issue - Issue code from CAPABILITY_ISSUES
+ * @param {string} serverUrl - Server URL
+ * @returns {string} Explanation
+ */
+function getCapabilityIssueText(issue, serverUrl) {
+    switch (issue) {
+        case CAPABILITY_ISSUES.OFFLINE:
+            return t`${serverUrl} is not reachable. Check that llama-server is running and the URL is correct.`;
+        case CAPABILITY_ISSUES.LOADING:
+            return t`${serverUrl} is still loading the model.`;
+        case CAPABILITY_ISSUES.NO_SLOTS_ENDPOINT:
+            return t`Slot monitoring is disabled on ${serverUrl}. Remove --no-slots from the llama-server command line.`;
+        case CAPABILITY_ISSUES.NO_SLOT_SAVE:
+            return t`Saving and loading caches is disabled on ${serverUrl}. Restart llama-server with --slot-save-path <directory> to enable Save, Load and autosave.`;
+        default:
+            return issue;
+    }
+}
+
+/**
+ * Enable or disable features according to probed server capabilities
+ * and explain what is missing
+ */
+export function updateFeatureAvailability() {
+    const slotSaveAvailable = isSlotSaveAvailable();
+    
+    $("#kv-cache-save-button").prop('disabled', !slotSaveAvailable);
+    $("#kv-cache-save-now-button").prop('disabled', !slotSaveAvailable);
+    $("#kv-cache-load-button").prop('disabled', !slotSaveAvailable);
+    $("#kv-cache-preload-characters-button").prop('disabled', !slotSaveAvailable);
+    $("#kv-cache-enabled").prop('disabled', !slotSaveAvailable);
+    
+    const infoElement = $("#kv-cache-capabilities-info");
+    if (infoElement.length === 0) {
+        return;
+    }
+    
+    const messages = [];
+    for (const serverUrl of getServerUrls()) {
+        const capabilities = getServerCapabilities(serverUrl);
+        for (const issue of capabilities.issues) {
+            messages.push(getCapabilityIssueText(issue, serverUrl));
+        }
+    }
+    
+    if (messages.length === 0) {
+        infoElement.empty().hide();
+        return;
+    }
+    
+    const html = messages
+        .map(message => `<p><i class="fa-solid fa-triangle-exclamation"></i> ${escapeHtml(message)}</p>`)
+        .join('');
+    infoElement.html(html).show();
+}
+
+/**
+ * Show number of running and waiting slot operations, with the list in the tooltip
+ */
+export function updatePendingOperationsIndicator() {
+    const indicator = $("#kv-cache-pending-operations");
+    if (indicator.length === 0) {
+        return;
+    }
+    
+    const operations = getPendingOperations();
+    if (operations.length === 0) {
+        indicator.hide().empty();
+        return;
+    }
+    
+    const details = operations
+        .map(operation => operation.running ? t`${operation.label} - running` : operation.label)
+        .join('\n');
+    
+    indicator
+        .html(`<i class="fa-solid fa-hourglass-half"></i> ${t`Pending slot operations: ${operations.length}`}`)
+        .attr('title', details)
+        .show();
+}
+
 export async function onSaveButtonClick() {
     disableAllSaveButtons();
     try {
@@ -75,6 +167,18 @@ export async function onLoadButtonClick() {
     await openLoadPopup();
 }
 
+export async function onImportBundleButtonClick() {
+    await openImportBundlePopup();
+}
+
+export async function onStorageUsageButtonClick() {
+    await openStoragePopup();
+}
+
+export async function onOrphanedSavesButtonClick() {
+    await openOrphanedSavesPopup();
+}
+
 export async function onReleaseAllSlotsButtonClick() {
     const confirmationMessage = `<p style="margin: 10px 0; font-size: 14px;">${t`Are you sure you want to clear all slots?`}</p><p style="margin: 10px 0; font-size: 12px; color: var(--SmartThemeBodyColor, #888);">${t`All data in slots will be deleted.`}</p>`;
     
@@ -95,6 +199,43 @@ export async function onReleaseAllSlotsButtonClick() {
     }
 }
 
+/**
+ * List saves of current chat that rotation would delete under its retention policy and offer to delete them now
+ */
+export async function onPreviewRotationButtonClick() {
+    const plan = await planRotation(getNormalizedChatId());
+    
+    if (plan.length === 0) {
+        await callGenericPopup(t`Rotation would not delete any saves in this chat.`, POPUP_TYPE.TEXT);
+        return;
+    }
+    
+    const filesCount = plan.reduce((sum, { files }) => sum + files.length, 0);
+    const listHtml = plan.map(({ characterName, files }) => {
+        const displayName = files.find(file => file.parsed.originalCharacterName)?.parsed.originalCharacterName || characterName;
+        const items = files
+            .map(file => `<li title="${escapeHtml(file.name)}">${formatTimestampToDate(file.parsed.timestamp)}</li>`)
+            .join('');
+        return `<p style="margin: 10px 0 0;"><strong>${escapeHtml(displayName)}</strong></p><ul style="margin: 4px 0;">${items}</ul>`;
+    }).join('');
+    
+    const result = await callGenericPopup(
+        `<p style="margin: 10px 0;">${t`Rotation would delete ${filesCount} saves in this chat:`}</p><div class="kv-cache-rotation-preview">${listHtml}</div>`,
+        POPUP_TYPE.TEXT,
+        '',
+        {
+            okButton: t`Delete now`,
+            cancelButton: true,
+            allowVerticalScrolling: true
+        }
+    );
+    
+    if (result === POPUP_RESULT.AFFIRMATIVE) {
+        const deletedCount = await deleteRotationPlan(plan);
+        showToast('success', t`Deleted ${deletedCount} saves`, t`Rotation`);
+    }
+}
+
 export async function onPreloadCharactersButtonClick() {
     const context = getContext();
     if (!context || context.groupId === null || context.groupId === undefined) {
@@ -186,6 +327,21 @@ export async function showTagInputPopup() {
     return null;
 }
 
+export function onPinSlotButtonClick(event) {
+    const button = $(event.target).closest('.kv-cache-pin-slot-button');
+    const slotIndex = parseInt(button.data('slot-index'));
+    const characterName = button.data('character-name');
+    
+    const slot = getSlotsState()[slotIndex];
+    if (!slot || slot.characterName !== characterName) {
+        showToast('error', t`Character not found in this slot`);
+        return;
+    }
+    
+    setSlotPinned(slotIndex, !slot.pinned);
+    updateSlotsList();
+}
+
 export async function onSaveSlotButtonClick(event) {
     const button = $(event.target).closest('.kv-cache-save-slot-button');
     const slotIndex = parseInt(button.data('slot-index'));
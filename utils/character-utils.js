@@ -106,3 +106,20 @@ export function getNormalizedCharacterNameFromData(data) {
     return normalizeCharacterName(characterName);
 }
 
+
+/**
+ * Find original (unnormalized) name of character
+ * @param {string} normalizedName - Normalized character name
+ * @returns {string} Original name or normalizedName if character is not found
+ */
+export function getOriginalCharacterName(normalizedName) {
+    try {
+        const context = getContext();
+        const characters = Object.values(context?.characters || {});
+        const character = characters.find(char => char?.name && normalizeCharacterName(char.name) === normalizedName);
+        return character?.name || normalizedName;
+    } catch (e) {
+        console.error('[KV Cache Manager] Error getting original character name:', e);
+        return normalizedName;
+    }
+}
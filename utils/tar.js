@@ -0,0 +1,164 @@
+// Minimal tar (ustar + pax long names) writer and reader for cache bundles
+// Works with Blobs, so multi-gigabyte caches are never read into memory as a whole
+
+const BLOCK_SIZE = 512;
+// Largest size that fits into the 11 octal digits of the size field
+const MAX_ENTRY_SIZE = 8 ** 11 - 1;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function writeString(header, offset, length, value) {
+    const bytes = textEncoder.encode(value);
+    header.set(bytes.subarray(0, length), offset);
+}
+
+function writeOctal(header, offset, length, value) {
+    writeString(header, offset, length, value.toString(8).padStart(length - 1, '0') + '\0');
+}
+
+function readString(header, offset, length) {
+    const bytes = header.subarray(offset, offset + length);
+    const end = bytes.indexOf(0);
+    return textDecoder.decode(end === -1 ? bytes : bytes.subarray(0, end));
+}
+
+function readOctal(header, offset, length) {
+    return parseInt(readString(header, offset, length).trim() || '0', 8);
+}
+
+function getPadding(size) {
+    return new Uint8Array((BLOCK_SIZE - size % BLOCK_SIZE) % BLOCK_SIZE);
+}
+
+/**
+ * Build header block
+ * @param {string} name - Entry name (at most 100 bytes, longer names go to a pax header)
+ * @param {number} size - Entry size in bytes
+ * @param {string} type - Type flag ('0' - file, 'x' - pax extended header)
+ * @returns {Uint8Array} Header block
+ */
+function createHeader(name, size, type) {
+    const header = new Uint8Array(BLOCK_SIZE);
+    writeString(header, 0, 100, name);
+    writeOctal(header, 100, 8, 0o644);
+    writeOctal(header, 108, 8, 0);
+    writeOctal(header, 116, 8, 0);
+    writeOctal(header, 124, 12, size);
+    writeOctal(header, 136, 12, Math.floor(Date.now() / 1000));
+    writeString(header, 148, 8, ' '.repeat(8));
+    writeString(header, 156, 1, type);
+    writeString(header, 257, 6, 'ustar\0');
+    writeString(header, 263, 2, '00');
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeString(header, 148, 8, checksum.toString(8).padStart(6, '0') + '\0 ');
+    return header;
+}
+
+/**
+ * Build pax record "<length> path=<name>\n", where length counts the whole record including itself
+ * @param {string} name - Entry name
+ * @returns {Uint8Array} Record
+ */
+function createPaxPathRecord(name) {
+    const body = ` path=${name}\n`;
+    const bodyLength = textEncoder.encode(body).length;
+    let length = bodyLength + 1;
+    while (String(length).length + bodyLength !== length) {
+        length = String(length).length + bodyLength;
+    }
+    return textEncoder.encode(`${length}${body}`);
+}
+
+/**
+ * Create tar archive
+ * @param {Array<{name: string, data: Blob|string}>} entries - Files to pack
+ * @returns {Blob} Archive
+ * @throws {Error} If a file is too large for tar
+ */
+export function createTar(entries) {
+    const parts = [];
+
+    for (const entry of entries) {
+        const data = entry.data instanceof Blob ? entry.data : new Blob([entry.data]);
+        if (data.size > MAX_ENTRY_SIZE) {
+            throw new Error(`${entry.name} is too large for a bundle`);
+        }
+
+        let headerName = entry.name;
+        if (textEncoder.encode(entry.name).length > 100) {
+            const record = createPaxPathRecord(entry.name);
+            parts.push(createHeader('PaxHeader', record.length, 'x'), record, getPadding(record.length));
+            headerName = entry.name.slice(0, 100);
+        }
+
+        parts.push(createHeader(headerName, data.size, '0'), data, getPadding(data.size));
+    }
+
+    // End of archive: two empty blocks
+    parts.push(new Uint8Array(BLOCK_SIZE * 2));
+    return new Blob(parts, { type: 'application/x-tar' });
+}
+
+/**
+ * Parse pax records
+ * @param {string} text - Contents of pax header
+ * @returns {Object} Keyword -> value
+ */
+function parsePaxRecords(text) {
+    const records = {};
+    for (const line of text.split('\n')) {
+        const match = line.match(/^\d+ ([^=]+)=(.*)$/);
+        if (match) {
+            records[match[1]] = match[2];
+        }
+    }
+    return records;
+}
+
+/**
+ * Read list of files in tar archive
+ * File contents are returned as slices of the archive and read only when needed
+ * @param {Blob} archive - Archive
+ * @returns {Promise<Array<{name: string, size: number, data: Blob}>>} Files
+ * @throws {Error} If archive is damaged or is not a tar archive
+ */
+export async function readTar(archive) {
+    const entries = [];
+    let offset = 0;
+    let paxPath = null;
+
+    while (offset + BLOCK_SIZE <= archive.size) {
+        const header = new Uint8Array(await archive.slice(offset, offset + BLOCK_SIZE).arrayBuffer());
+        if (header.every(byte => byte === 0)) {
+            break;
+        }
+
+        const expectedChecksum = readOctal(header, 148, 8);
+        const checksum = header.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 32 : byte), 0);
+        if (checksum !== expectedChecksum) {
+            throw new Error('Not a tar archive or the archive is damaged');
+        }
+
+        const size = readOctal(header, 124, 12);
+        const type = readString(header, 156, 1);
+        const dataStart = offset + BLOCK_SIZE;
+        const data = archive.slice(dataStart, dataStart + size);
+        offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+        if (type === 'x') {
+            paxPath = parsePaxRecords(await data.text()).path ?? null;
+            continue;
+        }
+
+        if (type === '0' || type === '') {
+            const prefix = readString(header, 345, 155);
+            const name = paxPath ?? (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+            entries.push({ name, size, data });
+        }
+        paxPath = null;
+    }
+
+    return entries;
+}
@@ -11,6 +11,7 @@ export function formatTimestamp(date = new Date()) {
 }
 
 // Replaces all invalid characters (including spaces) with underscores
+// Used for tags and for matching ids of saves made before stable ids (see createStableId)
 export function normalizeString(str, defaultValue = '') {
     if (!str && str !== 0) {
         return defaultValue;
@@ -18,8 +19,62 @@ export function normalizeString(str, defaultValue = '') {
     return String(str).replace(/[^a-zA-Z0-9_-]/g, '_');
 }
 
+/**
+ * Fast non-cryptographic string hash (cyrb53)
+ * @param {string} str - String to hash
+ * @param {number} seed - Seed (default: 0)
+ * @returns {string} 14-character hex hash
+ */
+export function hashString(str, seed = 0) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return hash.toString(16).padStart(14, '0');
+}
+
+/**
+ * Build stable file-safe identifier: readable ASCII slug plus hash of the full name
+ * Names that differ only in non-ASCII characters (Cyrillic, Japanese, ...) get different hashes, so ids don't collide.
+ * Underscores are never used because they separate fields in save filenames
+ * @param {string} str - Original name
+ * @param {string} defaultValue - Value for empty name
+ * @returns {string} Identifier, e.g. "Alice-1f2e3d4c" or "9b0c7a12" for names without ASCII letters
+ */
+export function createStableId(str, defaultValue = '') {
+    if (!str && str !== 0) {
+        return defaultValue;
+    }
+    const value = String(str).normalize('NFC');
+    const slug = value
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40)
+        .replace(/-+$/, '');
+    const hash = hashString(value).slice(-8);
+    return slug ? `${slug}-${hash}` : hash;
+}
+
+/**
+ * Check if identifier has the shape createStableId produces (saves made before have plain normalized names)
+ * Some old normalized names have it too (e.g. "Alice-1f2e3d4c" or "deadbeef"), so this alone doesn't prove
+ * the id is new: compare with createStableId of the original name where it is known
+ * @param {string} id - Identifier
+ * @returns {boolean}
+ */
+export function isStableId(id) {
+    const match = /^(?:([a-zA-Z0-9]+(?:-[a-zA-Z0-9]+)*)-)?[0-9a-f]{8}$/.exec(String(id || ''));
+    return Boolean(match) && (match[1] ?? '').length <= 40;
+}
+
 export function normalizeChatId(chatId) {
-    return normalizeString(chatId, 'unknown');
+    return createStableId(chatId, 'unknown');
 }
 
 export function getNormalizedChatId() {
@@ -27,11 +82,16 @@ export function getNormalizedChatId() {
 }
 
 export function normalizeCharacterName(characterName) {
-    return normalizeString(characterName, '');
+    return createStableId(characterName, '');
 }
 
-export function formatTimestampToDate(timestamp) {
-    const date = new Date(
+/**
+ * Convert save timestamp (YYYYMMDDHHmmss, local time) to Date
+ * @param {string} timestamp - Timestamp from formatTimestamp()
+ * @returns {Date}
+ */
+export function parseTimestamp(timestamp) {
+    return new Date(
         parseInt(timestamp.substring(0, 4)),
         parseInt(timestamp.substring(4, 6)) - 1,
         parseInt(timestamp.substring(6, 8)),
@@ -39,6 +99,34 @@ export function formatTimestampToDate(timestamp) {
         parseInt(timestamp.substring(10, 12)),
         parseInt(timestamp.substring(12, 14))
     );
+}
+
+/**
+ * Format file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in MB or GB, e.g. "512.0 MB" or "1.25 GB"
+ */
+export function formatFileSize(bytes) {
+    const mb = (bytes || 0) / (1024 * 1024);
+    return mb >= 1024 ? `${(mb / 1024).toFixed(2)} GB` : `${mb.toFixed(1)} MB`;
+}
+
+/**
+ * Escape text for use in HTML, including attribute values
+ * @param {*} text - Text to escape (null and undefined become empty string)
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export function formatTimestampToDate(timestamp) {
+    const date = parseTimestamp(timestamp);
     const dateStr = date.toLocaleDateString('ru-RU', { 
         year: 'numeric', 
         month: '2-digit', 
@@ -55,7 +143,7 @@ export function formatTimestampToDate(timestamp) {
 export function parseFilesList(files, parseSaveFilename) {
     return files.map(file => {
         const filename = file.name || file;
-        const parsed = parseSaveFilename(filename);
+        const parsed = parseSaveFilename(filename, file);
         return { ...(typeof file === 'object' ? file : {}), name: filename, parsed };
     });
 }